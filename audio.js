@@ -0,0 +1,304 @@
+// Audio helpers: decoding, resampling, WAV encoding and time-based chunking
+(function() {
+  'use strict';
+
+  // Whisper works at 16kHz mono, so nothing above that is worth uploading
+  const TARGET_SAMPLE_RATE = 16000;
+
+  // Chunking and the fast pre-pass decode the whole file in memory (as 16kHz float
+  // PCM, about 460 MB an hour for stereo), so longer or bigger inputs are refused up front
+  const MAX_CHUNKED_SECONDS = 3 * 60 * 60;
+  const MAX_CHUNKED_BYTES = 1024 * 1024 * 1024;
+
+  // ==================== DECODING ====================
+
+  // Decode a media blob (video or audio) into an AudioBuffer.
+  // sampleRate, if given, has the decoder resample as it goes, which keeps long files small.
+  async function decodeMedia(mediaBlob, sampleRate) {
+    const arrayBuffer = await mediaBlob.arrayBuffer();
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const audioContext = sampleRate ? new AudioCtx({ sampleRate: sampleRate }) : new AudioCtx();
+
+    try {
+      return await new Promise((resolve, reject) => {
+        audioContext.decodeAudioData(arrayBuffer, resolve, () => {
+          reject(new Error('Could not decode audio from this file'));
+        });
+      });
+    } finally {
+      audioContext.close();
+    }
+  }
+
+  // Read a media blob's duration in seconds from its metadata, without decoding it
+  function getDuration(mediaBlob) {
+    return new Promise((resolve, reject) => {
+      const isAudio = mediaBlob.type && mediaBlob.type.startsWith('audio/');
+      const media = document.createElement(isAudio ? 'audio' : 'video');
+      const url = URL.createObjectURL(mediaBlob);
+
+      const cleanup = () => {
+        URL.revokeObjectURL(url);
+        media.removeAttribute('src');
+      };
+
+      media.preload = 'metadata';
+      media.onloadedmetadata = () => {
+        const duration = media.duration;
+        cleanup();
+        // Recorder output (e.g. WebM) can report Infinity until fully played
+        if (isFinite(duration)) {
+          resolve(duration);
+        } else {
+          reject(new Error('Media duration is unknown'));
+        }
+      };
+      media.onerror = () => {
+        cleanup();
+        reject(new Error('Could not read media duration'));
+      };
+      media.src = url;
+    });
+  }
+
+  // Resample (and optionally downmix) an AudioBuffer offline
+  async function resample(audioBuffer, sampleRate = TARGET_SAMPLE_RATE, channels = 1) {
+    const length = Math.ceil(audioBuffer.duration * sampleRate);
+    const offline = new OfflineAudioContext(channels, length, sampleRate);
+    const source = offline.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offline.destination);
+    source.start(0);
+
+    return offline.startRendering();
+  }
+
+  // Downmix to mono and resample, returning a Float32Array of samples
+  async function toMonoSamples(audioBuffer, sampleRate = TARGET_SAMPLE_RATE) {
+    const rendered = await resample(audioBuffer, sampleRate, 1);
+    return rendered.getChannelData(0);
+  }
+
+  // ==================== WAV ENCODING ====================
+
+  // Encode float samples as a 16-bit PCM WAV blob
+  // Accepts one Float32Array (mono) or an array of them (one per channel)
+  function encodeWav(samples, sampleRate = TARGET_SAMPLE_RATE) {
+    const channelData = Array.isArray(samples) ? samples : [samples];
+    const channels = channelData.length;
+    const frames = channelData[0].length;
+    const dataSize = frames * channels * 2;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);                        // fmt chunk size
+    view.setUint16(20, 1, true);                         // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+    view.setUint16(32, channels * 2, true);              // block align
+    view.setUint16(34, 16, true);                        // bits per sample
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++, offset += 2) {
+        const s = Math.max(-1, Math.min(1, channelData[c][i]));
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+      }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  }
+
+  // ==================== AUDIO EXTRACTION ====================
+
+  // Throw an AbortError if the signal has fired
+  function checkAborted(signal) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+  }
+
+  // Fast audio-only pre-pass: decode, resample and re-encode as WAV
+  // without replaying the media in real time.
+  // options.signal is checked between steps; a step already running finishes first.
+  async function extractAudio(mediaBlob, options = {}) {
+    const onProgress = options.onProgress || function() {};
+    const channels = options.mono === false ? 2 : 1;
+
+    await checkChunkable(mediaBlob);
+    checkAborted(options.signal);
+    onProgress(5);
+    const audioBuffer = await decodeMedia(mediaBlob, TARGET_SAMPLE_RATE);
+    checkAborted(options.signal);
+    onProgress(50);
+
+    const rendered = await resample(audioBuffer, TARGET_SAMPLE_RATE, Math.min(channels, audioBuffer.numberOfChannels));
+    checkAborted(options.signal);
+    onProgress(80);
+
+    const channelData = [];
+    for (let c = 0; c < rendered.numberOfChannels; c++) {
+      channelData.push(rendered.getChannelData(c));
+    }
+    const wavBlob = encodeWav(channelData, TARGET_SAMPLE_RATE);
+    onProgress(100);
+
+    return wavBlob;
+  }
+
+  // ==================== CHUNKING ====================
+
+  // Refuse media too long or too big to decode in one go, before trying.
+  // Messages are lowercase so callers can prefix them.
+  async function checkChunkable(mediaBlob) {
+    if (mediaBlob.size > MAX_CHUNKED_BYTES) {
+      throw new Error(`files over ${Math.round(MAX_CHUNKED_BYTES / (1024 * 1024))} MB can't be decoded in the browser. Extract the audio first (an audio-only file is far smaller) or split the file`);
+    }
+
+    let duration = null;
+    try {
+      duration = await getDuration(mediaBlob);
+    } catch (error) {
+      // Unknown length: the size check above has to do
+    }
+    if (duration !== null && duration > MAX_CHUNKED_SECONDS) {
+      throw new Error(`media longer than ${MAX_CHUNKED_SECONDS / 3600} hours can't be decoded in the browser. Split the file into shorter parts`);
+    }
+  }
+
+  // Render one stretch of a decoded buffer as 16kHz mono samples
+  async function renderWindow(audioBuffer, start, end) {
+    const length = Math.max(1, Math.ceil((end - start) * TARGET_SAMPLE_RATE));
+    const offline = new OfflineAudioContext(1, length, TARGET_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offline.destination);
+    source.start(0, start, end - start);
+
+    const rendered = await offline.startRendering();
+    return rendered.getChannelData(0);
+  }
+
+  // Split media into overlapping WAV chunks small enough to upload
+  // Returns [{ blob, start, end }] with times in seconds.
+  // Each chunk is rendered on its own, so only one chunk's samples exist at a time
+  // alongside the decoded (16kHz) buffer.
+  async function splitIntoChunks(mediaBlob, options = {}) {
+    const chunkSeconds = options.chunkSeconds || 600;
+    const overlapSeconds = options.overlapSeconds || 2;
+
+    await checkChunkable(mediaBlob);
+    checkAborted(options.signal);
+    const audioBuffer = await decodeMedia(mediaBlob, TARGET_SAMPLE_RATE);
+    checkAborted(options.signal);
+    const totalSeconds = audioBuffer.duration;
+
+    const chunks = [];
+    let start = 0;
+    while (start < totalSeconds) {
+      const end = Math.min(start + chunkSeconds, totalSeconds);
+
+      chunks.push({
+        blob: encodeWav(await renderWindow(audioBuffer, start, end)),
+        start: start,
+        end: end
+      });
+      checkAborted(options.signal);
+
+      if (end >= totalSeconds) break;
+      start = end - overlapSeconds;
+    }
+
+    return chunks;
+  }
+
+  // Merge per-chunk Whisper results onto one timeline.
+  // Where two chunks overlap, the cut is placed mid-overlap so each
+  // stretch of speech is kept from exactly one chunk.
+  function mergeChunkResults(parts) {
+    const segments = [];
+    const words = [];
+    const texts = [];
+
+    parts.forEach((part, i) => {
+      const next = parts[i + 1];
+      const keepFrom = i === 0 ? -Infinity : (part.start + parts[i - 1].end) / 2;
+      const keepUntil = next ? (next.start + part.end) / 2 : Infinity;
+      const result = part.result || {};
+
+      // Top-level word timestamps (timestamp_granularities[]=word)
+      (result.words || []).forEach(w => {
+        const start = w.start + part.start;
+        if (start < keepFrom || start >= keepUntil) return;
+        words.push(Object.assign({}, w, { start: start, end: w.end + part.start }));
+      });
+
+      if (!result.segments || result.segments.length === 0) {
+        if (result.text) texts.push(result.text.trim());
+        return;
+      }
+
+      result.segments.forEach(segment => {
+        const start = segment.start + part.start;
+        if (start < keepFrom || start >= keepUntil) return;
+
+        const shifted = Object.assign({}, segment, {
+          id: segments.length,
+          start: start,
+          end: segment.end + part.start
+        });
+        if (Array.isArray(segment.words)) {
+          shifted.words = segment.words.map(w => Object.assign({}, w, {
+            start: w.start + part.start,
+            end: w.end + part.start
+          }));
+        }
+        segments.push(shifted);
+        texts.push(segment.text.trim());
+      });
+    });
+
+    const first = parts[0] ? parts[0].result || {} : {};
+    const last = parts[parts.length - 1];
+
+    const merged = {
+      text: texts.join(' '),
+      language: first.language,
+      duration: last ? last.end : 0,
+      segments: segments
+    };
+    if (words.length > 0) {
+      merged.words = words;
+    }
+
+    return merged;
+  }
+
+  // Public API
+  window.AudioTools = {
+    TARGET_SAMPLE_RATE: TARGET_SAMPLE_RATE,
+    decodeMedia: decodeMedia,
+    getDuration: getDuration,
+    resample: resample,
+    toMonoSamples: toMonoSamples,
+    extractAudio: extractAudio,
+    checkChunkable: checkChunkable,
+    encodeWav: encodeWav,
+    splitIntoChunks: splitIntoChunks,
+    mergeChunkResults: mergeChunkResults
+  };
+})();
@@ -0,0 +1,189 @@
+// Reading URL lists from .txt, .csv and .json files for bulk mode
+(function() {
+  'use strict';
+
+  // Largest file accepted; URL lists are small, this only guards against mistakes
+  const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+  // ==================== PARSING ====================
+
+  // Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines in quotes)
+  // into an array of rows, each an array of strings
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Excel's tab-separated "CSV" exports are common; pick whichever separator the header uses more
+    const firstLine = text.split('\n', 1)[0];
+    const separator = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  // Rows as objects keyed by column name, from CSV with a header row
+  function tableFromCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      return { columns: [], rows: [] };
+    }
+
+    // A first row that already holds a link means there's no header row
+    const hasHeader = !rows[0].some(value => InstagramUrl.parse(value).valid);
+    const width = Math.max.apply(null, rows.map(r => r.length));
+    const header = hasHeader ? rows[0] : [];
+
+    // Blank or repeated headers still need distinct names
+    const columns = Array.from({ length: width }, (_, index) => (header[index] || '').trim() || `Column ${index + 1}`)
+      .map((name, index, all) => all.indexOf(name) === index ? name : `${name} (${index + 1})`);
+
+    return {
+      columns: columns,
+      rows: rows.slice(hasHeader ? 1 : 0).map(values => {
+        const record = {};
+        columns.forEach((column, index) => {
+          record[column] = (values[index] || '').trim();
+        });
+        return record;
+      })
+    };
+  }
+
+  // Rows from JSON: an array of URL strings or of objects, optionally wrapped
+  // in an object such as { "items": [...] }
+  function tableFromJson(text) {
+    let data = JSON.parse(text);
+    if (data && !Array.isArray(data)) {
+      data = Object.values(data).find(Array.isArray) || [data];
+    }
+    // null, false, 0 or "" parse fine but hold nothing to import
+    if (!Array.isArray(data)) {
+      throw new Error('no list of URLs found in the JSON');
+    }
+
+    const columns = [];
+    const rows = data.map(entry => {
+      const record = typeof entry === 'object' && entry !== null ? entry : { url: entry };
+      const flat = {};
+      Object.keys(record).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+        const value = record[key];
+        flat[key] = value === null || value === undefined ? '' :
+          typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+      });
+      return flat;
+    });
+
+    return { columns: columns, rows: rows };
+  }
+
+  // One URL per line, no other columns
+  function tableFromText(text) {
+    return {
+      columns: ['url'],
+      rows: text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => ({ url: line }))
+    };
+  }
+
+  // Read a dropped or picked file into { name, columns, rows }
+  async function readFile(file) {
+    if (file.size > MAX_FILE_BYTES) {
+      throw new Error(`${file.name} is too large to import (max 5 MB)`);
+    }
+
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+
+    let table;
+    if (extension === 'csv' || extension === 'tsv') {
+      table = tableFromCsv(text);
+    } else if (extension === 'json') {
+      try {
+        table = tableFromJson(text);
+      } catch (error) {
+        throw new Error(error instanceof SyntaxError ? `${file.name} is not valid JSON` : `${file.name}: ${error.message}`);
+      }
+    } else if (extension === 'txt') {
+      table = tableFromText(text);
+    } else {
+      throw new Error(`${file.name}: only .txt, .csv and .json files can be imported`);
+    }
+
+    return Object.assign({ name: file.name }, table);
+  }
+
+  // ==================== COLUMN MAPPING ====================
+
+  // Best guess at the column holding the links: the one with the most valid
+  // Instagram URLs, preferring a column named like "url" or "link" on a tie
+  function detectUrlColumn(table) {
+    let best = table.columns[0] || null;
+    let bestScore = -1;
+
+    table.columns.forEach(column => {
+      const valid = table.rows.filter(row => InstagramUrl.parse(row[column]).valid).length;
+      const score = valid * 2 + (/url|link/i.test(column) ? 1 : 0);
+      if (score > bestScore) {
+        best = column;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  // Split rows into { url, metadata } using urlColumn; the other columns become metadata
+  function mapRows(table, urlColumn) {
+    return table.rows.map(row => {
+      const metadata = {};
+      table.columns.forEach(column => {
+        if (column !== urlColumn && row[column]) {
+          metadata[column] = row[column];
+        }
+      });
+      return { url: row[urlColumn] || '', metadata: metadata };
+    });
+  }
+
+  // Public API
+  window.BulkImport = {
+    parseCsv: parseCsv,
+    readFile: readFile,
+    detectUrlColumn: detectUrlColumn,
+    mapRows: mapRows
+  };
+})();
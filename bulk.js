@@ -4,9 +4,44 @@
 
   // Queue state
   let processingQueue = [];
-  let currentIndex = 0;
   let isProcessing = false;
+  let isPaused = false;
+  let isCancelling = false;
+  let isBudgetPaused = false;
+  // Paused because encrypted API keys locked mid-run
+  let isKeyPaused = false;
+  let activeWorkers = 0;
   let completedTranscripts = [];
+  let runOptions = {};
+  // Input lines the run left out or merged, kept for the manifest
+  let rejectedInputs = [];
+  let duplicateInputs = [];
+
+  // Worker count and request rates, remembered between visits
+  const POOL_OPTIONS_KEY = 'bulk_pool_options';
+  const DEFAULT_POOL_OPTIONS = {
+    workers: 2,
+    resolverRate: 20,
+    openaiRate: 50
+  };
+  const MAX_WORKERS = 8;
+
+  // How many times one item may be sent back to the queue after a 429
+  const MAX_RATE_LIMIT_REQUEUES = 5;
+
+  // Separate buckets: the resolver and OpenAI limit us independently
+  const resolverLimiter = RateLimiter.create({ ratePerMinute: DEFAULT_POOL_OPTIONS.resolverRate });
+  const openaiLimiter = RateLimiter.create({ ratePerMinute: DEFAULT_POOL_OPTIONS.openaiRate });
+
+  // Saved run, so a reload or closed tab doesn't throw away paid-for work
+  const RUN_STATE_KEY = 'bulk_run_state';
+
+  // Formats written into the ZIP, remembered between visits
+  const ZIP_FORMATS_KEY = 'zip_formats';
+  const DEFAULT_ZIP_FORMATS = ['txt', 'srt'];
+
+  // Files every ZIP has, so no transcript is named like them
+  const RESERVED_ZIP_NAMES = ['_summary', 'manifest'];
 
   // DOM elements
   let bulkUrlsInput;
@@ -16,6 +51,26 @@
   let bulkQueue;
   let bulkDownloadSection;
   let bulkResponse;
+  let zipFormatPicker;
+  let bulkWorkersInput;
+  let resolverRateInput;
+  let openaiRateInput;
+  let pauseQueueButton;
+  let resumeQueueButton;
+  let cancelQueueButton;
+  let retryFailedButton;
+  let bulkEstimate;
+  let importFileButton;
+  let importFileInput;
+  let bulkImportPanel;
+  let urlColumnSelect;
+
+  // Last imported file, and its extra columns by shortcode
+  let importedTable = null;
+  let importedMetadata = new Map();
+
+  // Index of the pending row being dragged
+  let dragIndex = null;
 
   // Initialize bulk module
   function init() {
@@ -26,6 +81,24 @@
     bulkQueue = document.getElementById('bulkQueue');
     bulkDownloadSection = document.getElementById('bulkDownloadSection');
     bulkResponse = document.getElementById('bulkResponse');
+    zipFormatPicker = document.getElementById('zipFormatPicker');
+    bulkWorkersInput = document.getElementById('bulkWorkersInput');
+    resolverRateInput = document.getElementById('resolverRateInput');
+    openaiRateInput = document.getElementById('openaiRateInput');
+    pauseQueueButton = document.getElementById('pauseQueueButton');
+    resumeQueueButton = document.getElementById('resumeQueueButton');
+    cancelQueueButton = document.getElementById('cancelQueueButton');
+    retryFailedButton = document.getElementById('retryFailedButton');
+    bulkEstimate = document.getElementById('bulkEstimate');
+    importFileButton = document.getElementById('importFileButton');
+    importFileInput = document.getElementById('importFileInput');
+    bulkImportPanel = document.getElementById('bulkImportPanel');
+    urlColumnSelect = document.getElementById('urlColumnSelect');
+
+    loadPoolOptions();
+    renderZipFormatPicker();
+    updateEstimate();
+    offerResume();
 
     // Event listeners
     if (processBulkButton) {
@@ -36,224 +109,1091 @@
       clearBulkButton.addEventListener('click', handleClear);
     }
 
-    // URL cleaning on input
+    if (pauseQueueButton) {
+      pauseQueueButton.addEventListener('click', pauseQueue);
+    }
+
+    if (resumeQueueButton) {
+      resumeQueueButton.addEventListener('click', resumeQueue);
+    }
+
+    if (cancelQueueButton) {
+      cancelQueueButton.addEventListener('click', cancelQueue);
+    }
+
+    if (retryFailedButton) {
+      retryFailedButton.addEventListener('click', retryAllFailed);
+    }
+
+    if (bulkQueue) {
+      setupQueueDragAndDrop();
+    }
+
+    if (bulkUrlsInput) {
+      setupFileImport();
+    }
+
+    [bulkWorkersInput, resolverRateInput, openaiRateInput].forEach(input => {
+      if (input) {
+        input.addEventListener('change', savePoolOptions);
+      }
+    });
+
+    // URL cleaning on input: links with tracking params or fragments become canonical
     if (bulkUrlsInput) {
       bulkUrlsInput.addEventListener('input', () => {
         const lines = bulkUrlsInput.value.split('\n');
         const cleaned = lines.map(line => {
           const trimmed = line.trim();
-          return trimmed ? trimmed.split('?')[0] : trimmed;
+          return /[?#]/.test(trimmed) ? InstagramUrl.normalize(trimmed) : line;
         }).join('\n');
 
         if (cleaned !== bulkUrlsInput.value) {
           bulkUrlsInput.value = cleaned;
         }
+        updateEstimate();
       });
     }
+
+    // The model picked for the run changes the price
+    const bulkRunOptions = document.getElementById('bulkRunOptions');
+    if (bulkRunOptions) {
+      bulkRunOptions.addEventListener('change', updateEstimate);
+    }
   }
 
   // Handle process bulk button click
   async function handleProcessBulk() {
     if (!bulkUrlsInput) return;
 
-    const urls = bulkUrlsInput.value
-      .split('\n')
-      .map(url => url.trim())
-      .filter(url => url && url.includes('instagram.com'));
+    const { links, rejected, duplicates } = parseInput();
+
+    if (links.length === 0) {
+      showMessage('error', rejected.length > 0 ?
+        `Please enter at least one valid Instagram URL. ${describeRejected(rejected)}` :
+        'Please enter at least one valid Instagram URL');
+      return;
+    }
 
-    if (urls.length === 0) {
-      showMessage('error', 'Please enter at least one valid Instagram URL');
+    if (rejected.length > 0 &&
+        !confirm(`${rejected.length} line${rejected.length === 1 ? '' : 's'} will be skipped:\n\n${rejected.map(r => `Line ${r.line}: ${r.reason}`).join('\n')}\n\nContinue with the other ${links.length}?`)) {
       return;
     }
 
+    // Offer transcripts already in history instead of paying for them again
+    processBulkButton.disabled = true;
+    const settings = WhisperAPI.getTranscriptionSettings(WhisperAPI.getRunOptions('bulkRunOptions'));
+    const cached = await findCachedTranscripts(links, settings);
+    processBulkButton.disabled = false;
+    const useCache = cached.size > 0 &&
+      confirm(`${cached.size} of these video${cached.size === 1 ? ' has' : 's have'} a saved transcript in History made with the same model (${settings.model}) and language (${settings.languageHint || 'auto-detect'}). Use the saved transcript${cached.size === 1 ? '' : 's'} instead of transcribing again?`);
+    const toTranscribe = useCache ? links.length - cached.size : links.length;
+
     // Check API key
-    if (!Settings || !Settings.hasApiKey()) {
-      showMessage('error', 'Please configure your OpenAI API key in Settings first');
+    if (toTranscribe > 0 && (!Settings || !Settings.canTranscribe())) {
+      showMessage('error', Settings.getSetupMessage());
       if (Settings && Settings.openSettings) {
         Settings.openSettings();
       }
       return;
     }
 
+    // Ask before starting a run that looks set to go over today's budget
+    const estimate = estimateRun(toTranscribe);
+    const remaining = UsageLedger.getRemainingBudget();
+    if (remaining !== null && estimate.cost > remaining &&
+        !confirm(`This run is estimated at ${UsageLedger.formatCost(estimate.cost)}, more than the ${UsageLedger.formatCost(remaining)} left in today's budget. The queue will pause when the budget is reached. Start anyway?`)) {
+      return;
+    }
+
+    runOptions = WhisperAPI.getRunOptions('bulkRunOptions');
+    // Tags every API call of this run in the usage ledger
+    runOptions.runId = UsageLedger.newRunId('bulk');
+    // The whole run uses this profile and filename template, even if changed meanwhile
+    runOptions.profileId = Settings.getActiveProfile().id;
+    runOptions.filenameTemplate = OutputFilename.getTemplate();
+
     // Initialize queue
-    processingQueue = urls.map((url, index) => ({
+    processingQueue = links.map((link, index) => ({
       id: index,
-      url: url,
+      url: link.url,
+      shortcode: link.shortcode,
+      // Extra columns from an imported file, carried into the exports
+      metadata: importedMetadata.get(link.shortcode) || null,
       status: 'pending', // pending, processing, completed, failed
       result: null,
       error: null
     }));
 
-    currentIndex = 0;
-    completedTranscripts = [];
+    if (useCache) {
+      processingQueue.forEach(item => {
+        const entry = cached.get(item.shortcode);
+        if (entry) {
+          item.author = entry.author || null;
+          completeItem(item, entry.result, entry.createdAt);
+          item.cached = true;
+          item.startedAt = item.finishedAt = Date.now();
+        }
+      });
+    }
+    refreshCompleted();
+    rejectedInputs = rejected;
+    duplicateInputs = duplicates;
+    saveRunState();
+
+    startProcessing();
+
+    const notes = [];
+    if (duplicates.length > 0) {
+      notes.push(`${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'} merged`);
+    }
+    if (useCache) {
+      notes.push(`${cached.size} loaded from History`);
+    }
+    if (toTranscribe === 0) {
+      showMessage('success', `Nothing to transcribe: ${notes.join(', ')}`);
+    } else if (notes.length > 0) {
+      showMessage('info', `Transcribing ${toTranscribe} video${toTranscribe === 1 ? '' : 's'} (${notes.join(', ')})`);
+    }
+  }
+
+  // Saved History transcripts for the links' shortcodes, as a Map of shortcode to entry.
+  // Only transcripts made with the same settings ({ model, languageHint }) count.
+  async function findCachedTranscripts(links, settings) {
+    const cached = new Map();
+    if (!window.TranscriptHistory) return cached;
+
+    try {
+      for (const link of links) {
+        const entry = await TranscriptHistory.findByShortcode(link.shortcode, 'transcribe', settings);
+        if (entry && entry.result) {
+          cached.set(link.shortcode, entry);
+        }
+      }
+    } catch (error) {
+      console.warn('Could not check History for saved transcripts:', error);
+    }
+    return cached;
+  }
+
+  // Parse the input box, one link per line. Returns { links, rejected, duplicates }:
+  // links are parsed InstagramUrl results, one per shortcode (so /p/ and /reel/
+  // links to the same video count once), rejected is [{ line, input, reason }] and
+  // duplicates is [{ line, input, shortcode, firstLine }] for lines repeating an earlier shortcode.
+  function parseInput() {
+    const links = [];
+    const rejected = [];
+    const duplicates = [];
+    // Line each shortcode first appeared on
+    const seen = new Map();
+
+    bulkUrlsInput.value.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      const link = InstagramUrl.parse(line);
+      if (!link.valid) {
+        rejected.push({ line: index + 1, input: line.trim(), reason: link.reason });
+      } else if (seen.has(link.shortcode)) {
+        duplicates.push({
+          line: index + 1,
+          input: line.trim(),
+          shortcode: link.shortcode,
+          firstLine: seen.get(link.shortcode)
+        });
+      } else {
+        seen.set(link.shortcode, index + 1);
+        links.push(link);
+      }
+    });
+
+    return { links: links, rejected: rejected, duplicates: duplicates };
+  }
+
+  // Short note on rejected lines, naming the first one
+  function describeRejected(rejected) {
+    const first = rejected[0];
+    const more = rejected.length > 1 ? ` (and ${rejected.length - 1} more)` : '';
+    return `Line ${first.line}: ${first.reason}${more}.`;
+  }
+
+  // Estimated minutes and cost for a number of videos we haven't downloaded yet
+  function estimateRun(count) {
+    const defaults = Settings && Settings.getTranscriptionOptions ? Settings.getTranscriptionOptions() : {};
+    const model = WhisperAPI.getRunOptions('bulkRunOptions').model || defaults.model || 'whisper-1';
+    const estimate = UsageLedger.estimate(count * UsageLedger.getAverageSeconds(), model);
+    if (defaults.engine === 'local') {
+      estimate.cost = 0;
+    }
+    return estimate;
+  }
+
+  // The offline engine costs nothing, so the daily budget only applies to the API
+  function isOverBudget() {
+    return !Settings.usesLocalEngine() && UsageLedger.isOverBudget();
+  }
+
+  // Whether the run needs an API key that is encrypted and locked
+  function isKeyLocked() {
+    return !Settings.usesLocalEngine() && Settings.isKeyLocked();
+  }
+
+  // Stop taking items until the keys are unlocked; items in flight finish or come back
+  function pauseForLockedKey() {
+    isPaused = true;
+    isKeyPaused = true;
+    renderQueue();
+  }
+
+  // Show the estimate for the URLs currently in the input box
+  function updateEstimate() {
+    if (!bulkEstimate || !bulkUrlsInput) return;
+
+    const { links, rejected, duplicates } = parseInput();
+    const count = links.length;
+    const merged = duplicates.length > 0 ?
+      ` &middot; ${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'} merged` : '';
+    const skipped = merged + (rejected.length > 0 ?
+      ` &middot; <span class="bulk-rejected">${rejected.length} line${rejected.length === 1 ? '' : 's'} skipped: ${describeRejected(rejected)}</span>` : '');
+    if (count === 0) {
+      bulkEstimate.innerHTML = skipped ? `<i class="fas fa-exclamation-triangle"></i> No valid links${skipped}` : '';
+      return;
+    }
+
+    const estimate = estimateRun(count);
+    const perVideo = Math.round(UsageLedger.getAverageSeconds());
+    const label = Settings.usesLocalEngine() ?
+      `~${estimate.minutes.toFixed(1)} min, transcribed on this device` :
+      UsageLedger.describe(estimate);
+    bulkEstimate.innerHTML = `<i class="fas fa-coins"></i> ${count} video${count === 1 ? '' : 's'}: ${label} (assuming ~${perVideo}s each)${skipped}`;
+  }
+
+  // Show the queue and start a pool of workers on its pending items.
+  // Safe to call mid-run: only tops the pool back up to the worker count.
+  function startProcessing() {
+    isPaused = false;
+    isCancelling = false;
+    isBudgetPaused = false;
+    isKeyPaused = false;
+
+    const options = getPoolOptions();
+    resolverLimiter.setRate(options.resolverRate);
+    openaiLimiter.setRate(options.openaiRate);
+
+    const pending = processingQueue.filter(item => item.status === 'pending').length;
+    const workers = Math.min(options.workers, pending) - activeWorkers;
+
+    if (pending > 0) {
+      isProcessing = true;
+      processBulkButton.disabled = true;
+    }
 
-    // Show queue
     renderQueue();
     bulkQueueSection.style.display = 'block';
-    bulkDownloadSection.style.display = 'none';
+    bulkDownloadSection.style.display = hasFinishedItems() ? 'block' : 'none';
 
-    // Start processing
-    isProcessing = true;
-    processBulkButton.disabled = true;
-    processNextInQueue();
+    for (let i = 0; i < workers; i++) {
+      runWorker();
+    }
   }
 
-  // Process next item in queue
-  async function processNextInQueue() {
-    if (currentIndex >= processingQueue.length) {
-      // All done
-      isProcessing = false;
-      processBulkButton.disabled = false;
-      showMessage('success', `Completed ${completedTranscripts.length} of ${processingQueue.length} transcriptions`);
+  // One worker: keep taking pending items until none are left
+  async function runWorker() {
+    activeWorkers++;
 
-      if (completedTranscripts.length > 0) {
-        bulkDownloadSection.style.display = 'block';
+    try {
+      let item;
+      while ((item = takeNextItem())) {
+        await processItem(item);
       }
-      return;
+    } finally {
+      activeWorkers--;
+      if (activeWorkers === 0) {
+        finishProcessing();
+      }
+    }
+  }
+
+  // Claim the next pending item, in queue order
+  function takeNextItem() {
+    if (isPaused || isCancelling) return null;
+
+    if (isOverBudget()) {
+      isPaused = true;
+      isBudgetPaused = true;
+      renderQueue();
+      return null;
+    }
+
+    if (isKeyLocked()) {
+      pauseForLockedKey();
+      return null;
     }
 
-    const item = processingQueue[currentIndex];
+    const item = processingQueue.find(i => i.status === 'pending');
+    if (!item) return null;
+
     item.status = 'processing';
+    item.startedAt = Date.now();
+    item.finishedAt = null;
+    renderQueue();
+    saveRunState();
+    return item;
+  }
+
+  // All workers have stopped
+  function finishProcessing() {
+    isProcessing = false;
+    processBulkButton.disabled = false;
+
+    // The queue was cleared while items were in flight
+    if (processingQueue.length === 0) return;
+
     renderQueue();
 
+    const pending = processingQueue.filter(item => item.status === 'pending').length;
+    const run = UsageLedger.getRun(runOptions.runId);
+    const spent = run ? ` (${run.minutes.toFixed(1)} min, ${UsageLedger.formatCost(run.cost)})` : '';
+
+    if (isBudgetPaused) {
+      showMessage('error', `Daily budget reached. Paused with ${pending} items left; raise the budget in Settings to continue.`);
+    } else if (isKeyPaused) {
+      showMessage('error', `API key locked. Paused with ${pending} items left; unlock it in Settings, then resume.`);
+      Settings.openSettings();
+    } else if (isPaused) {
+      showMessage('info', `Paused with ${pending} items left`);
+    } else if (isCancelling) {
+      showMessage('info', `Cancelled. Completed ${completedTranscripts.length} of ${processingQueue.length} transcriptions${spent}`);
+    } else {
+      showMessage('success', `Completed ${completedTranscripts.length} of ${processingQueue.length} transcriptions${spent}`);
+    }
+    isCancelling = false;
+
+    if (hasFinishedItems()) {
+      bulkDownloadSection.style.display = 'block';
+    }
+  }
+
+  // Resolve, fetch and transcribe a single queue item
+  async function processItem(item) {
+    // Whichever service the current step talks to; a 429 backs that one off
+    let limiter = resolverLimiter;
+
+    // Skip, Cancel and Clear abort the item wherever it is
+    item.controller = new AbortController();
+    const signal = item.controller.signal;
+
     try {
-      // Fetch video metadata
-      const response = await fetch('https://api.instasave.website/media', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: new URLSearchParams({'url': item.url})
+      // A requeued item (rate limited, or keys locked) kept its prepared audio,
+      // so only the API call is repeated
+      if (!item.prepared) {
+        // Resolve video metadata
+        setItemProgress(item, 'Resolving...');
+        await resolverLimiter.acquire(signal);
+        // A 429 comes straight back, so the pool's limiter backs off rather than each worker
+        const media = await MediaResolver.resolve(item.url, { signal: signal, retryRateLimits: false });
+        resolverLimiter.succeed();
+        item.author = media.author || null;
+        const videoUrl = media.videoUrl;
+
+        // Fetch video; a TypeError here is almost always CORS, which retrying won't fix
+        limiter = null;
+        const videoResponse = await RetryPolicy.run(async () => {
+          const res = await fetch(videoUrl, { signal: signal });
+          if (!res.ok) {
+            throw RetryPolicy.errorFromResponse(res, 'Failed to fetch video');
+          }
+          return res;
+        }, {
+          signal: signal,
+          shouldRetry: error => error.name !== 'TypeError' && RetryPolicy.isRetriable(error)
+        });
+        const videoBlob = await Transfer.readBody(videoResponse, (progress) => {
+          setItemProgress(item, 'Downloading...', progress);
+        });
+
+        // Strip video down to audio, then transcribe
+        setItemProgress(item, 'Extracting audio...');
+        const uploadBlob = await WhisperAPI.prepareMedia(videoBlob, 'bulk', signal);
+        item.prepared = { media: media, videoBlob: videoBlob, uploadBlob: uploadBlob };
+      }
+      const { media, videoBlob, uploadBlob } = item.prepared;
+
+      const apiKey = Settings.getApiKey(runOptions.profileId);
+      // The offline engine makes no API calls, so it isn't held to the API's rate
+      limiter = Settings.usesLocalEngine() ? null : openaiLimiter;
+      if (limiter) {
+        setItemProgress(item, 'Waiting for rate limit...');
+        await limiter.acquire(signal);
+      }
+      const result = await WhisperAPI.transcribeAudio(uploadBlob, apiKey, runOptions, {
+        signal: signal,
+        mode: 'bulk',
+        onStatus: (message, progress) => setItemProgress(item, message, progress),
+        onUploadProgress: (progress) => {
+          if (progress.percent !== null && progress.percent >= 100) {
+            setItemProgress(item, 'Transcribing...');
+          } else {
+            setItemProgress(item, 'Uploading...', progress);
+          }
+        }
       });
+      if (limiter) {
+        limiter.succeed();
+      }
+      signal.throwIfAborted();
+
+      completeItem(item, result);
+      refreshCompleted();
+
+      // Saved to History, so a later run can reuse it
+      if (window.TranscriptHistory) {
+        TranscriptHistory.saveResult(result, videoBlob, Object.assign({
+          url: item.url,
+          shortcode: item.shortcode,
+          thumbnailUrl: media.thumbnailUrl,
+          author: media.author
+        }, WhisperAPI.getTranscriptionSettings(runOptions))).catch(error => console.warn('Could not save transcript to History:', error));
+      }
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped by Skip, Cancel or Clear; never counted as a failure
+        if (item.status === 'processing') {
+          item.status = 'skipped';
+        }
+      } else if (error.code === 'key_locked') {
+        // The keys locked mid-run: keep the item and pause until they're unlocked
+        item.status = 'pending';
+        pauseForLockedKey();
+      } else if (limiter && RateLimiter.isRateLimitError(error) &&
+          (item.rateLimitRequeues || 0) < MAX_RATE_LIMIT_REQUEUES) {
+        // Rate limited: slow the whole pool down and put the item back
+        item.rateLimitRequeues = (item.rateLimitRequeues || 0) + 1;
+        item.status = 'pending';
+        const wait = limiter.backoff(error.retryAfter);
+        showMessage('info', `Rate limited, slowing down and retrying in ${Math.ceil(wait / 1000)}s...`);
+      } else {
+        console.error('Transcription error:', error);
+        item.status = 'failed';
+        item.error = error.message;
+      }
+    }
 
-      if (!response.ok) {
-        throw new Error('Failed to fetch video information');
+    if (item.status !== 'pending') {
+      // Done with, so its media can be freed
+      item.prepared = null;
+      if (!item.finishedAt) {
+        item.finishedAt = Date.now();
       }
+    }
+    item.progress = null;
+    item.controller = null;
+    renderQueue();
+    saveRunState();
+  }
 
-      const responseText = await response.text();
-      let videoUrl;
+  // Abort an item that is being processed
+  function abortItem(item) {
+    if (item.controller) {
+      item.controller.abort();
+    }
+  }
 
-      // Parse response (JSON or HTML)
-      try {
-        const data = JSON.parse(responseText);
-        videoUrl = data.download_url;
-      } catch (e) {
-        // Parse HTML response
-        const cleanedHtml = responseText
-          .replace(/loader\.style\.display="none";/, '')
-          .replace(/document\.getElementById\("div_download"\)\.innerHTML ="/, '')
-          .replace(/";document\.getElementById\("downloader"\)\.remove\(\);showAd\(\);/, '')
-          .replace(/\\/g, '');
-
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(cleanedHtml, 'text/html');
-        const downloadLink = doc.querySelector('a.abutton.is-success');
-        videoUrl = downloadLink?.getAttribute('href');
+  // Mark an item completed with a transcription result, transcribed on date (ms)
+  function completeItem(item, result, date = Date.now()) {
+    item.status = 'completed';
+    item.result = {
+      text: result.text,
+      srt: WhisperAPI.generateSRT(result.segments || []),
+      raw: result,
+      url: item.url,
+      metadata: item.metadata || null,
+      filename: claimFilename(item, { date: date, language: result.language })
+    };
+  }
+
+  // Base filename for an item from the run's template, unique within the run.
+  // extra is { date, language } when a transcript exists.
+  function claimFilename(item, extra) {
+    const taken = processingQueue
+      .filter(other => other !== item && other.result)
+      .map(other => other.result.filename)
+      .concat(RESERVED_ZIP_NAMES);
+    return OutputFilename.unique(OutputFilename.build(Object.assign({
+      url: item.url,
+      shortcode: item.shortcode,
+      author: item.author,
+      // Zero-padded so files sort in queue order
+      index: String(item.id + 1).padStart(String(processingQueue.length).length, '0')
+    }, extra), runOptions.filenameTemplate), taken);
+  }
+
+  // Update the status cell of a processing row in place, without redrawing the queue
+  // progress is a Transfer progress object, or omitted for a plain stage label
+  function setItemProgress(item, label, progress) {
+    item.progress = { label: label, transfer: progress || null };
+
+    const index = processingQueue.indexOf(item);
+    const statusCell = bulkQueue && bulkQueue.querySelector(`.queue-item[data-index="${index}"] .queue-item-status`);
+    if (statusCell) {
+      statusCell.innerHTML = renderItemProgress(item.progress);
+    }
+  }
+
+  // Status cell contents for a processing row: stage label, plus a bar for transfers
+  function renderItemProgress(progress) {
+    if (!progress) {
+      return '<i class="fas fa-spinner fa-spin"></i> Processing...';
+    }
+
+    const transfer = progress.transfer;
+    if (!transfer || transfer.percent === null) {
+      const bytes = transfer ? ` ${Transfer.formatBytes(transfer.loaded)}` : '';
+      return `<i class="fas fa-spinner fa-spin"></i> ${progress.label}${bytes}`;
+    }
+
+    const value = Math.round(transfer.percent);
+    return `
+      <div class="queue-item-progress">
+        <span><i class="fas fa-spinner fa-spin"></i> ${progress.label} ${value}%</span>
+        <div class="progress-bar"><div class="progress-bar-fill" style="width: ${value}%"></div></div>
+        <small>${Transfer.describe(transfer)}</small>
+      </div>
+    `;
+  }
+
+  // Whether any item has an outcome to report, so a ZIP or manifest can be downloaded
+  function hasFinishedItems() {
+    return processingQueue.some(item => item.status !== 'pending' && item.status !== 'processing');
+  }
+
+  // Rebuild the completed list from the queue, in queue order
+  function refreshCompleted() {
+    completedTranscripts = processingQueue
+      .filter(item => item.status === 'completed' && item.result)
+      .map(item => item.result);
+  }
+
+  // ==================== QUEUE CONTROLS ====================
+
+  // Stop taking new items; ones already in flight finish
+  function pauseQueue() {
+    if (!isProcessing) return;
+
+    isPaused = true;
+    renderQueue();
+    showMessage('info', 'Pausing after the items in progress finish...');
+  }
+
+  // Continue a paused run, or pick up pending items after a stop
+  function resumeQueue() {
+    if (!processingQueue.some(item => item.status === 'pending')) return;
+
+    if (isKeyLocked()) {
+      showMessage('error', 'API key is locked. Unlock it in Settings to continue.');
+      Settings.openSettings();
+      return;
+    }
+
+    if (!Settings || !Settings.canTranscribe()) {
+      showMessage('error', Settings.getSetupMessage());
+      return;
+    }
+
+    if (isOverBudget()) {
+      showMessage('error', 'Daily budget reached. Raise the budget in Settings to continue.');
+      return;
+    }
+
+    showMessage('info', 'Resuming...');
+    startProcessing();
+  }
+
+  // Skip everything still pending and stop the items in flight
+  function cancelQueue() {
+    processingQueue.forEach(item => {
+      if (item.status === 'pending' || item.status === 'processing') {
+        item.status = 'skipped';
+        item.finishedAt = Date.now();
+        item.prepared = null;
+        abortItem(item);
+      }
+    });
+
+    isPaused = false;
+    isCancelling = isProcessing;
+    renderQueue();
+    saveRunState();
+
+    if (isProcessing) {
+      showMessage('info', 'Cancelling...');
+    }
+  }
+
+  // Put a failed or skipped item back in the queue
+  function retryItem(index) {
+    const item = processingQueue[index];
+    if (!item || (item.status !== 'failed' && item.status !== 'skipped')) return;
+
+    requeue(item);
+    continueAfterChange();
+  }
+
+  // Re-run only the failed items; completed results are kept
+  function retryAllFailed() {
+    const failed = processingQueue.filter(item => item.status === 'failed');
+    if (failed.length === 0) return;
+
+    failed.forEach(requeue);
+    continueAfterChange();
+  }
+
+  function requeue(item) {
+    item.status = 'pending';
+    item.error = null;
+    item.rateLimitRequeues = 0;
+    item.finishedAt = null;
+  }
+
+  // Leave an item out of this run, stopping it if it is in flight
+  function skipItem(index) {
+    const item = processingQueue[index];
+    if (!item || (item.status !== 'pending' && item.status !== 'processing')) return;
+
+    item.status = 'skipped';
+    item.finishedAt = Date.now();
+    item.prepared = null;
+    abortItem(item);
+    renderQueue();
+    saveRunState();
+  }
+
+  // Drop an item from the queue entirely
+  function removeItem(index) {
+    const item = processingQueue[index];
+    if (!item || item.status === 'processing') return;
+
+    processingQueue.splice(index, 1);
+    refreshCompleted();
+
+    if (processingQueue.length === 0) {
+      handleClear();
+      return;
+    }
+
+    if (!hasFinishedItems()) {
+      bulkDownloadSection.style.display = 'none';
+    }
+    renderQueue();
+    saveRunState();
+  }
+
+  // Start (or top up) the workers after items were re-queued, unless paused
+  function continueAfterChange() {
+    saveRunState();
+
+    if (isPaused || !Settings || !Settings.canTranscribe()) {
+      renderQueue();
+      return;
+    }
+    startProcessing();
+  }
+
+  // Move a pending item to another position
+  function moveItem(from, to) {
+    if (from === to || !processingQueue[from] || !processingQueue[to]) return;
+
+    const [item] = processingQueue.splice(from, 1);
+    processingQueue.splice(to, 0, item);
+    refreshCompleted();
+    renderQueue();
+    saveRunState();
+  }
+
+  // Drag pending rows onto other pending rows to reorder them
+  function setupQueueDragAndDrop() {
+    const rowFor = (e) => e.target.closest ? e.target.closest('.queue-item[draggable="true"]') : null;
+
+    bulkQueue.addEventListener('dragstart', (e) => {
+      const row = rowFor(e);
+      if (!row) return;
+      dragIndex = parseInt(row.dataset.index, 10);
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(dragIndex));
+    });
+
+    bulkQueue.addEventListener('dragover', (e) => {
+      const row = rowFor(e);
+      if (!row || dragIndex === null) return;
+      e.preventDefault();
+      bulkQueue.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+      row.classList.add('drag-over');
+    });
+
+    bulkQueue.addEventListener('drop', (e) => {
+      const row = rowFor(e);
+      if (!row || dragIndex === null) return;
+      e.preventDefault();
+
+      // The row may have started processing while it was being dragged
+      const target = parseInt(row.dataset.index, 10);
+      if (processingQueue[dragIndex] && processingQueue[dragIndex].status === 'pending' &&
+          processingQueue[target] && processingQueue[target].status === 'pending') {
+        moveItem(dragIndex, target);
       }
+      dragIndex = null;
+    });
+
+    bulkQueue.addEventListener('dragend', () => {
+      dragIndex = null;
+      bulkQueue.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    });
+  }
+
+  // Show the queue buttons that apply right now
+  function updateQueueControls() {
+    const hasPending = processingQueue.some(item => item.status === 'pending');
+    const hasFailed = processingQueue.some(item => item.status === 'failed');
+    const toggle = (button, visible) => {
+      if (button) button.style.display = visible ? '' : 'none';
+    };
+
+    toggle(pauseQueueButton, isProcessing && !isPaused && !isCancelling);
+    toggle(resumeQueueButton, hasPending && (isPaused || !isProcessing));
+    toggle(cancelQueueButton, hasPending || (isProcessing && !isCancelling));
+    toggle(retryFailedButton, hasFailed);
+  }
+
+  // ==================== POOL OPTIONS ====================
+
+  // Saved worker count and rates
+  function getPoolOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(POOL_OPTIONS_KEY) || 'null');
+      return Object.assign({}, DEFAULT_POOL_OPTIONS, saved);
+    } catch (error) {
+      return Object.assign({}, DEFAULT_POOL_OPTIONS);
+    }
+  }
+
+  // Fill the inputs from saved options
+  function loadPoolOptions() {
+    const options = getPoolOptions();
+    if (bulkWorkersInput) bulkWorkersInput.value = options.workers;
+    if (resolverRateInput) resolverRateInput.value = options.resolverRate;
+    if (openaiRateInput) openaiRateInput.value = options.openaiRate;
+  }
+
+  // Save the inputs, clamped to sane values
+  function savePoolOptions() {
+    const readNumber = (input, fallback, max) => {
+      const value = parseInt(input && input.value, 10);
+      return isNaN(value) ? fallback : Math.max(1, Math.min(max, value));
+    };
+
+    const options = {
+      workers: readNumber(bulkWorkersInput, DEFAULT_POOL_OPTIONS.workers, MAX_WORKERS),
+      resolverRate: readNumber(resolverRateInput, DEFAULT_POOL_OPTIONS.resolverRate, 120),
+      openaiRate: readNumber(openaiRateInput, DEFAULT_POOL_OPTIONS.openaiRate, 500)
+    };
+
+    try {
+      localStorage.setItem(POOL_OPTIONS_KEY, JSON.stringify(options));
+    } catch (error) {
+      console.error('Error saving pool options:', error);
+    }
+
+    loadPoolOptions();
 
-      if (!videoUrl) {
-        throw new Error('Could not get video download URL');
+    // Rates apply straight away, even mid-run
+    resolverLimiter.setRate(options.resolverRate);
+    openaiLimiter.setRate(options.openaiRate);
+  }
+
+  // ==================== FILE IMPORT ====================
+
+  // Import lists from the file picker or by dropping a file on the input box
+  function setupFileImport() {
+    if (importFileButton && importFileInput) {
+      importFileButton.addEventListener('click', () => importFileInput.click());
+      importFileInput.addEventListener('change', () => {
+        if (importFileInput.files[0]) {
+          importFile(importFileInput.files[0]);
+        }
+        importFileInput.value = '';
+      });
+    }
+
+    if (urlColumnSelect) {
+      urlColumnSelect.addEventListener('change', applyImport);
+    }
+
+    // Only file drags are taken over; dragging text in still works as usual
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    bulkUrlsInput.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      bulkUrlsInput.classList.add('file-drag-over');
+    });
+
+    bulkUrlsInput.addEventListener('dragleave', () => {
+      bulkUrlsInput.classList.remove('file-drag-over');
+    });
+
+    bulkUrlsInput.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      bulkUrlsInput.classList.remove('file-drag-over');
+      if (e.dataTransfer.files[0]) {
+        importFile(e.dataTransfer.files[0]);
       }
+    });
+  }
 
-      // Fetch video
-      const videoResponse = await fetch(videoUrl);
-      if (!videoResponse.ok) {
-        throw new Error('Failed to fetch video');
+  // Read a .txt, .csv or .json list and fill the input box from it
+  async function importFile(file) {
+    try {
+      const table = await BulkImport.readFile(file);
+      if (table.rows.length === 0) {
+        showMessage('error', `${file.name} has no rows to import`);
+        return;
       }
-      const videoBlob = await videoResponse.blob();
 
-      // Transcribe
-      const apiKey = Settings.getApiKey();
-      const result = await WhisperAPI.transcribeAudio(videoBlob, apiKey);
+      importedTable = table;
+      if (urlColumnSelect) {
+        urlColumnSelect.innerHTML = '';
+        table.columns.forEach(column => urlColumnSelect.appendChild(new Option(column, column)));
+        urlColumnSelect.value = BulkImport.detectUrlColumn(table);
+      }
+      applyImport();
+    } catch (error) {
+      console.error('Import error:', error);
+      showMessage('error', error.message || `Could not import ${file.name}`);
+    }
+  }
 
-      // Generate SRT
-      const srtContent = WhisperAPI.generateSRT(result.segments || []);
+  // Fill the input box from the chosen URL column and keep the other columns per shortcode
+  function applyImport() {
+    if (!importedTable) return;
 
-      // Store result
-      item.status = 'completed';
-      item.result = {
-        text: result.text,
-        srt: srtContent,
+    const urlColumn = urlColumnSelect ? urlColumnSelect.value : importedTable.columns[0];
+    const rows = BulkImport.mapRows(importedTable, urlColumn);
+
+    importedMetadata = new Map();
+    rows.forEach(row => {
+      const link = InstagramUrl.parse(row.url);
+      if (link.valid && !importedMetadata.has(link.shortcode) && Object.keys(row.metadata).length > 0) {
+        importedMetadata.set(link.shortcode, row.metadata);
+      }
+    });
+
+    bulkUrlsInput.value = rows.map(row => row.url).filter(Boolean).join('\n');
+    updateEstimate();
+
+    // Column mapping only matters when there is more than one column
+    if (bulkImportPanel) {
+      const extra = importedTable.columns.filter(column => column !== urlColumn);
+      bulkImportPanel.style.display = importedTable.columns.length > 1 ? 'flex' : 'none';
+      const summary = bulkImportPanel.querySelector('.bulk-import-summary');
+      if (summary) {
+        summary.textContent = `${importedTable.name}: ${rows.length} rows` +
+          (extra.length > 0 ? `, carrying ${extra.join(', ')}` : '');
+      }
+    }
+    showMessage('success', `Imported ${rows.length} rows from ${importedTable.name}`);
+  }
+
+  // ==================== RUN PERSISTENCE ====================
+
+  // Save the queue and finished results to localStorage
+  function saveRunState() {
+    const state = {
+      savedAt: Date.now(),
+      runOptions: runOptions,
+      rejected: rejectedInputs,
+      duplicates: duplicateInputs,
+      queue: processingQueue.map(item => ({
+        id: item.id,
         url: item.url,
-        filename: `transcript_${currentIndex + 1}`
-      };
+        shortcode: item.shortcode,
+        author: item.author,
+        metadata: item.metadata,
+        cached: item.cached,
+        status: item.status,
+        result: item.result,
+        error: item.error,
+        startedAt: item.startedAt,
+        finishedAt: item.finishedAt
+      }))
+    };
+
+    try {
+      localStorage.setItem(RUN_STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+      // Over quota: keep the text and SRT, drop the full Whisper JSON
+      try {
+        state.queue.forEach(item => {
+          if (item.result) {
+            item.result = Object.assign({}, item.result, { raw: null });
+          }
+        });
+        localStorage.setItem(RUN_STATE_KEY, JSON.stringify(state));
+      } catch (e) {
+        console.error('Could not save bulk run state:', e);
+      }
+    }
+  }
 
-      completedTranscripts.push(item.result);
+  // Load a saved run, if any
+  function loadRunState() {
+    try {
+      const state = JSON.parse(localStorage.getItem(RUN_STATE_KEY) || 'null');
+      return state && Array.isArray(state.queue) && state.queue.length > 0 ? state : null;
+    } catch (error) {
+      console.error('Error loading bulk run state:', error);
+      return null;
+    }
+  }
 
+  // Forget the saved run
+  function clearRunState() {
+    try {
+      localStorage.removeItem(RUN_STATE_KEY);
     } catch (error) {
-      console.error('Transcription error:', error);
-      item.status = 'failed';
-      item.error = error.message;
+      console.error('Error clearing bulk run state:', error);
     }
+  }
 
-    renderQueue();
-    currentIndex++;
+  // Offer to pick up a run saved before the last reload
+  function offerResume() {
+    const state = loadRunState();
+    if (!state || !bulkResponse) return;
+
+    const done = state.queue.filter(item => item.status === 'completed').length;
+    const unfinished = state.queue.filter(item => item.status === 'pending' || item.status === 'processing').length;
+    const label = unfinished > 0 ? 'Resume previous run' : 'Restore previous results';
+
+    bulkResponse.innerHTML = `
+      <div class="info-message resume-banner">
+        <span><i class="fas fa-history"></i> Previous run from ${new Date(state.savedAt).toLocaleString()}: ${done} of ${state.queue.length} completed</span>
+        <span class="resume-actions">
+          <button class="btn" onclick="BulkTranscribe.resumeRun()"><i class="fas fa-play"></i> ${label}</button>
+          <button class="btn btn-secondary" onclick="BulkTranscribe.discardRun()"><i class="fas fa-times"></i> Discard</button>
+        </span>
+      </div>
+    `;
+  }
+
+  // Restore the saved run; completed items are kept, interrupted ones retried
+  function resumeRun() {
+    const state = loadRunState();
+    if (!state || isProcessing) return;
+
+    processingQueue = state.queue.map(item => Object.assign({}, item, {
+      status: item.status === 'processing' ? 'pending' : item.status
+    }));
+    runOptions = state.runOptions || {};
+    rejectedInputs = state.rejected || [];
+    duplicateInputs = state.duplicates || [];
+    refreshCompleted();
+
+    const hasPending = processingQueue.some(item => item.status === 'pending');
+    if (!hasPending) {
+      renderQueue();
+      bulkQueueSection.style.display = 'block';
+      bulkDownloadSection.style.display = hasFinishedItems() ? 'block' : 'none';
+      showMessage('success', `Restored ${completedTranscripts.length} transcripts`);
+      return;
+    }
+
+    if (!Settings || !Settings.canTranscribe()) {
+      showMessage('error', Settings.getSetupMessage());
+      if (Settings && Settings.openSettings) {
+        Settings.openSettings();
+      }
+      return;
+    }
 
-    // Small delay between requests to avoid rate limiting
-    setTimeout(() => {
-      processNextInQueue();
-    }, 1000);
+    showMessage('info', 'Resuming previous run...');
+    startProcessing();
+  }
+
+  // Drop the saved run
+  function discardRun() {
+    clearRunState();
+    if (bulkResponse) {
+      bulkResponse.innerHTML = '';
+    }
   }
 
   // Render queue display
   function renderQueue() {
     if (!bulkQueue) return;
 
+    const button = (action, index, icon, title, extraClass = '') => `
+      <button class="queue-action-btn ${extraClass}" onclick="BulkTranscribe.${action}(${index})" title="${title}">
+        <i class="fas ${icon}"></i>
+      </button>
+    `;
+    const removeButton = (index) => button('removeItem', index, 'fa-trash', 'Remove from queue', 'queue-remove-btn');
+
     const html = processingQueue.map((item, index) => {
-      let statusIcon, statusClass, statusText, actions = '';
+      let statusIcon, statusClass, statusText, buttons = '';
 
       switch (item.status) {
         case 'pending':
           statusIcon = 'fa-clock';
           statusClass = 'status-pending';
-          statusText = 'Pending';
+          statusText = isPaused ? 'Paused' : 'Pending';
+          buttons = button('skipItem', index, 'fa-forward', 'Skip') + removeButton(index);
           break;
         case 'processing':
           statusIcon = 'fa-spinner fa-spin';
           statusClass = 'status-processing';
           statusText = 'Processing...';
+          buttons = button('skipItem', index, 'fa-stop', 'Stop and skip');
           break;
         case 'completed':
           statusIcon = 'fa-check-circle';
           statusClass = 'status-completed';
-          statusText = 'Completed';
-          actions = `
-            <div class="queue-item-actions">
-              <button class="queue-action-btn" onclick="BulkTranscribe.copyItem(${index})" title="Copy transcript">
-                <i class="fas fa-copy"></i>
-              </button>
-              <button class="queue-action-btn" onclick="BulkTranscribe.downloadTxt(${index})" title="Download TXT">
-                <i class="fas fa-file-alt"></i>
-              </button>
-              <button class="queue-action-btn" onclick="BulkTranscribe.downloadSrt(${index})" title="Download SRT">
-                <i class="fas fa-closed-captioning"></i>
-              </button>
-              <button class="queue-action-btn" onclick="BulkTranscribe.downloadReel(${index})" title="Download video">
-                <i class="fas fa-download"></i>
-              </button>
-            </div>
-          `;
+          statusText = item.cached ? 'Completed (from History)' : 'Completed';
+          buttons =
+            button('copyItem', index, 'fa-copy', 'Copy transcript') +
+            button('downloadTxt', index, 'fa-file-alt', 'Download TXT') +
+            button('downloadSrt', index, 'fa-closed-captioning', 'Download SRT') +
+            button('downloadReel', index, 'fa-download', 'Download video') +
+            removeButton(index);
           break;
         case 'failed':
           statusIcon = 'fa-times-circle';
           statusClass = 'status-failed';
           statusText = `Failed: ${item.error}`;
+          buttons = button('retryItem', index, 'fa-redo', 'Retry') + removeButton(index);
+          break;
+        case 'skipped':
+          statusIcon = 'fa-forward';
+          statusClass = 'status-skipped';
+          statusText = 'Skipped';
+          buttons = button('retryItem', index, 'fa-redo', 'Retry') + removeButton(index);
           break;
       }
 
+      const draggable = item.status === 'pending';
+
       return `
-        <div class="queue-item ${statusClass}">
+        <div class="queue-item ${statusClass}" data-index="${index}" ${draggable ? 'draggable="true"' : ''}>
           <div class="queue-item-number">${index + 1}</div>
-          <div class="queue-item-url">${item.url}</div>
+          <div class="queue-item-url">${draggable ? '<i class="fas fa-grip-vertical queue-drag-handle"></i>' : ''}${item.url}</div>
           <div class="queue-item-status">
-            <i class="fas ${statusIcon}"></i> ${statusText}
+            ${item.status === 'processing' ? renderItemProgress(item.progress) : `<i class="fas ${statusIcon}"></i> ${statusText}`}
           </div>
-          ${actions}
+          ${buttons ? `<div class="queue-item-actions">${buttons}</div>` : ''}
         </div>
       `;
     }).join('');
 
     bulkQueue.innerHTML = html;
+    updateQueueControls();
   }
 
   // Copy individual item
@@ -271,32 +1211,39 @@
     });
   }
 
-  // Download TXT for individual item
-  function downloadTxt(index) {
+  // Download any registered export format for an individual item
+  function downloadItem(index, format) {
     const item = processingQueue[index];
-    if (!item || !item.result) return;
+    const exportFormat = TranscriptFormats.get(format);
+    if (!item || !item.result || !exportFormat) return;
 
-    const blob = new Blob([item.result.text], { type: 'text/plain' });
+    const content = TranscriptFormats.render(format, getRawResult(item.result));
+    const blob = new Blob([content], { type: exportFormat.mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${item.result.filename}.txt`;
+    a.download = `${item.result.filename}.${exportFormat.extension}`;
     a.click();
     URL.revokeObjectURL(url);
   }
 
+  // Download TXT for individual item
+  function downloadTxt(index) {
+    downloadItem(index, 'txt');
+  }
+
   // Download SRT for individual item
   function downloadSrt(index) {
     const item = processingQueue[index];
     if (!item || !item.result || !item.result.srt) return;
+    downloadItem(index, 'srt');
+  }
 
-    const blob = new Blob([item.result.srt], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${item.result.filename}.srt`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // Full Whisper result for a transcript (older entries only kept text/SRT),
+  // with any imported metadata for the exports to include
+  function getRawResult(transcript) {
+    const raw = transcript.raw || { text: transcript.text, segments: [] };
+    return transcript.metadata ? Object.assign({}, raw, { metadata: transcript.metadata }) : raw;
   }
 
   // Download video for individual item
@@ -307,33 +1254,19 @@
     try {
       showMessage('info', 'Fetching video...');
 
-      // Re-fetch the video URL if needed
-      const response = await fetch('https://api.instasave.website/media', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({'url': item.url})
-      });
-
-      const responseText = await response.text();
-      let videoUrl;
+      // Re-resolve the video URL (signed CDN links expire)
+      const media = await MediaResolver.resolve(item.url);
+      const videoUrl = media.videoUrl;
 
-      try {
-        videoUrl = JSON.parse(responseText).download_url;
-      } catch (e) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(responseText, 'text/html');
-        videoUrl = doc.querySelector('a.abutton.is-success')?.getAttribute('href');
-      }
-
-      if (!videoUrl) throw new Error('Could not get video URL');
-
-      // Create download link
-      const a = document.createElement('a');
-      a.href = videoUrl;
-      a.download = `instagram_video_${index + 1}.mp4`;
-      a.click();
+      // Fetched into a Blob so it saves under the template name, not the CDN's
+      const filename = `${item.result ? item.result.filename : claimFilename(item, {})}.mp4`;
+      const saved = await Transfer.saveUrl(videoUrl, filename, (progress) => {
+        showMessage('info', `Downloading video... ${Transfer.describe(progress)}`);
+      });
 
-      showMessage('success', 'Video download started!');
+      showMessage(saved ? 'success' : 'info', saved ?
+        `Video saved as ${filename}` :
+        'Video download started. The CDN blocks direct downloads here, so it keeps the CDN\'s file name.');
     } catch (error) {
       console.error('Download error:', error);
       showMessage('error', 'Failed to download video');
@@ -356,24 +1289,79 @@
     });
   }
 
-  // Download all transcripts as ZIP (TXT + SRT)
+  // ==================== ZIP FORMATS ====================
+
+  // Formats picked for the ZIP
+  function getZipFormats() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ZIP_FORMATS_KEY) || 'null');
+      return Array.isArray(saved) ? saved : DEFAULT_ZIP_FORMATS.slice();
+    } catch (error) {
+      return DEFAULT_ZIP_FORMATS.slice();
+    }
+  }
+
+  // Render a checkbox per registered format
+  function renderZipFormatPicker() {
+    if (!zipFormatPicker || !window.TranscriptFormats) return;
+
+    const selected = getZipFormats();
+    zipFormatPicker.innerHTML = TranscriptFormats.list().map(format => `
+      <label class="zip-format-option">
+        <input type="checkbox" value="${format.id}" ${selected.includes(format.id) ? 'checked' : ''}>
+        ${format.label}
+      </label>
+    `).join('');
+
+    zipFormatPicker.addEventListener('change', () => {
+      const checked = Array.from(zipFormatPicker.querySelectorAll('input:checked')).map(input => input.value);
+      try {
+        localStorage.setItem(ZIP_FORMATS_KEY, JSON.stringify(checked));
+      } catch (error) {
+        console.error('Error saving ZIP formats:', error);
+      }
+    });
+  }
+
+  // Download all transcripts as ZIP in the selected formats. With nothing completed
+  // the ZIP still holds the manifest, so a failed run can be audited.
   async function downloadAllZip() {
-    if (completedTranscripts.length === 0) return;
+    if (!hasFinishedItems()) return;
+
+    const formats = getZipFormats()
+      .map(id => TranscriptFormats.get(id))
+      .filter(Boolean);
+
+    if (formats.length === 0 && completedTranscripts.length > 0) {
+      showMessage('error', 'Pick at least one format for the ZIP');
+      return;
+    }
 
     try {
       const zip = new JSZip();
 
       // Add all transcripts to ZIP
-      completedTranscripts.forEach((transcript, index) => {
-        zip.file(`${transcript.filename}.txt`, transcript.text);
-        zip.file(`${transcript.filename}.srt`, transcript.srt);
+      completedTranscripts.forEach((transcript) => {
+        formats.forEach(format => {
+          zip.file(`${transcript.filename}.${format.extension}`, TranscriptFormats.render(format.id, getRawResult(transcript)));
+        });
       });
 
       // Create summary file
-      const summary = completedTranscripts.map((t, i) =>
-        `${i + 1}. ${t.url}\n   Filename: ${t.filename}`
-      ).join('\n\n');
-      zip.file('_summary.txt', summary);
+      if (completedTranscripts.length > 0) {
+        const summary = completedTranscripts.map((t, i) =>
+          [`${i + 1}. ${t.url}`, `Filename: ${t.filename}`]
+            .concat(TranscriptFormats.metadataLines(t))
+            .join('\n   ')
+        ).join('\n\n');
+        const profile = `Profile: ${Settings.getProfile(runOptions.profileId).name}\n\n`;
+        zip.file('_summary.txt', profile + summary);
+      }
+
+      // Machine-readable record of every input, failures included
+      const manifest = buildManifest(formats);
+      zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+      zip.file('manifest.csv', manifestToCsv(manifest.items));
 
       // Generate ZIP
       showMessage('info', 'Generating ZIP file...');
@@ -387,7 +1375,9 @@
       a.click();
       URL.revokeObjectURL(url);
 
-      showMessage('success', 'ZIP file downloaded successfully!');
+      showMessage('success', completedTranscripts.length > 0 ?
+        'ZIP file downloaded successfully!' :
+        'No transcripts completed; downloaded a ZIP with just the manifest');
 
     } catch (error) {
       console.error('ZIP generation error:', error);
@@ -395,16 +1385,135 @@
     }
   }
 
+  // ==================== MANIFEST ====================
+
+  // One record per input line: queued items in queue order, then lines merged into
+  // them as duplicates, then lines rejected at parse
+  function buildManifest(formats) {
+    const items = processingQueue.map(item => {
+      const raw = item.result ? getRawResult(item.result) : null;
+      return {
+        url: item.url,
+        shortcode: item.shortcode || '',
+        status: item.status,
+        error: item.error || '',
+        fromHistory: !!item.cached,
+        language: raw && raw.language ? raw.language : '',
+        duration: raw ? getDuration(raw) : null,
+        wordCount: item.result ? countWords(item.result.text) : null,
+        files: item.status === 'completed' && item.result ?
+          formats.map(format => `${item.result.filename}.${format.extension}`) : [],
+        startedAt: toIsoTime(item.startedAt),
+        finishedAt: toIsoTime(item.finishedAt),
+        metadata: item.metadata || {}
+      };
+    });
+
+    duplicateInputs.forEach(duplicate => {
+      items.push(unprocessedRecord(duplicate.input, duplicate.shortcode, 'duplicate',
+        `Line ${duplicate.line}: same video as line ${duplicate.firstLine}`));
+    });
+
+    rejectedInputs.forEach(rejected => {
+      items.push(unprocessedRecord(rejected.input, '', 'rejected', `Line ${rejected.line}: ${rejected.reason}`));
+    });
+
+    return {
+      runId: runOptions.runId || null,
+      profile: Settings.getProfile(runOptions.profileId).name,
+      generatedAt: new Date().toISOString(),
+      items: items
+    };
+  }
+
+  // Manifest record for an input line that was never queued
+  function unprocessedRecord(url, shortcode, status, error) {
+    return {
+      url: url,
+      shortcode: shortcode,
+      status: status,
+      error: error,
+      fromHistory: false,
+      language: '',
+      duration: null,
+      wordCount: null,
+      files: [],
+      startedAt: null,
+      finishedAt: null,
+      metadata: {}
+    };
+  }
+
+  // Manifest items as CSV; imported metadata keys become extra columns
+  function manifestToCsv(items) {
+    const keys = [];
+    items.forEach(item => {
+      Object.keys(item.metadata).forEach(key => {
+        if (!keys.includes(key)) keys.push(key);
+      });
+    });
+
+    const header = ['url', 'shortcode', 'status', 'error', 'from_history', 'language', 'duration',
+      'word_count', 'files', 'started_at', 'finished_at'].concat(keys);
+    const rows = items.map(item => [
+      item.url,
+      item.shortcode,
+      item.status,
+      item.error,
+      item.fromHistory ? 'yes' : 'no',
+      item.language,
+      item.duration === null ? '' : item.duration.toFixed(3),
+      item.wordCount === null ? '' : item.wordCount,
+      item.files.join(';'),
+      item.startedAt || '',
+      item.finishedAt || ''
+    ].concat(keys.map(key => item.metadata[key])));
+
+    return [header].concat(rows)
+      .map(row => row.map(TranscriptFormats.csvField).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // Length in seconds, from Whisper's duration or the last segment's end
+  function getDuration(raw) {
+    if (typeof raw.duration === 'number') return raw.duration;
+    const segments = raw.segments || [];
+    return segments.length > 0 ? segments[segments.length - 1].end : null;
+  }
+
+  function countWords(text) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    return words.length;
+  }
+
+  // Epoch milliseconds as an ISO string, or null when unset
+  function toIsoTime(time) {
+    return time ? new Date(time).toISOString() : null;
+  }
+
   // Handle clear button
   function handleClear() {
     if (bulkUrlsInput) {
       bulkUrlsInput.value = '';
     }
+    updateEstimate();
+
+    importedTable = null;
+    importedMetadata = new Map();
+    if (bulkImportPanel) {
+      bulkImportPanel.style.display = 'none';
+    }
 
+    processingQueue.forEach(abortItem);
     processingQueue = [];
-    currentIndex = 0;
     completedTranscripts = [];
+    rejectedInputs = [];
+    duplicateInputs = [];
+    isPaused = false;
+    // Workers still running stop once their aborted items unwind
+    isCancelling = isProcessing;
     isProcessing = false;
+    clearRunState();
 
     if (bulkQueueSection) {
       bulkQueueSection.style.display = 'none';
@@ -435,7 +1544,17 @@
     copyItem: copyItem,
     downloadTxt: downloadTxt,
     downloadSrt: downloadSrt,
+    downloadItem: downloadItem,
     downloadReel: downloadReel,
+    retryItem: retryItem,
+    skipItem: skipItem,
+    removeItem: removeItem,
+    pauseQueue: pauseQueue,
+    resumeQueue: resumeQueue,
+    cancelQueue: cancelQueue,
+    retryAllFailed: retryAllFailed,
+    resumeRun: resumeRun,
+    discardRun: discardRun,
     copyAll: copyAllTranscripts,
     downloadZip: downloadAllZip
   };
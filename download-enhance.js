@@ -57,8 +57,8 @@
     }
 
     // Check if API key is configured
-    if (!Settings || !Settings.hasApiKey()) {
-      alert('Please configure your OpenAI API key in Settings first');
+    if (!Settings || !Settings.canTranscribe()) {
+      alert(Settings.getSetupMessage());
       if (Settings && Settings.openSettings) {
         Settings.openSettings();
       }
@@ -67,7 +67,8 @@
 
     // Switch to transcribe tab and start transcription there
     if (window.Tabs && window.Tabs.switchToTranscribe) {
-      window.Tabs.switchToTranscribe(videoDownloadUrl);
+      const sourceInput = document.getElementById('instagramReelUrl');
+      window.Tabs.switchToTranscribe(videoDownloadUrl, sourceInput ? InstagramUrl.normalize(sourceInput.value.trim()) : '');
     }
   }
 
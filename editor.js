@@ -0,0 +1,127 @@
+// Interactive transcript editor: editable segment rows synced to a media player
+(function() {
+  'use strict';
+
+  // Object URL of the media currently loaded in the player
+  let currentMediaUrl = null;
+
+  // Mount the editor into a container
+  // onChange(result) is called after every edit with the updated result
+  function mount(container, result, mediaBlob, onChange) {
+    if (!container || !result || !Array.isArray(result.segments)) return;
+
+    if (currentMediaUrl) {
+      URL.revokeObjectURL(currentMediaUrl);
+      currentMediaUrl = null;
+    }
+
+    const isAudio = mediaBlob && mediaBlob.type && mediaBlob.type.startsWith('audio/');
+    const playerTag = isAudio ? 'audio' : 'video';
+
+    container.innerHTML = `
+      ${mediaBlob ? `<${playerTag} class="editor-player" controls playsinline></${playerTag}>` : ''}
+      <div class="editor-segments">
+        ${result.segments.map((segment, index) => `
+          <div class="editor-row" data-index="${index}">
+            <span class="editor-time">${formatTime(segment.start)} – ${formatTime(segment.end)}</span>
+            <div class="editor-text" contenteditable="true" spellcheck="true">${escapeText(segment.text.trim())}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    const player = container.querySelector('.editor-player');
+    const list = container.querySelector('.editor-segments');
+    const rows = Array.from(container.querySelectorAll('.editor-row'));
+
+    if (player) {
+      currentMediaUrl = URL.createObjectURL(mediaBlob);
+      player.src = currentMediaUrl;
+
+      // Highlight the row under the playhead
+      player.addEventListener('timeupdate', () => {
+        const time = player.currentTime;
+        const activeIndex = result.segments.findIndex(s => time >= s.start && time < s.end);
+        rows.forEach((row, index) => {
+          const isActive = index === activeIndex;
+          if (isActive && !row.classList.contains('active')) {
+            scrollIntoList(list, row);
+          }
+          row.classList.toggle('active', isActive);
+        });
+      });
+    }
+
+    rows.forEach((row) => {
+      const index = parseInt(row.dataset.index, 10);
+      const textEl = row.querySelector('.editor-text');
+
+      // Clicking a row seeks the player to that segment
+      row.addEventListener('click', () => {
+        if (player) {
+          player.currentTime = result.segments[index].start;
+        }
+      });
+
+      textEl.addEventListener('input', () => {
+        updateSegmentText(result, index, textEl.textContent);
+        if (onChange) {
+          onChange(result);
+        }
+      });
+
+      // Enter commits the edit instead of inserting a line break
+      textEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          textEl.blur();
+        }
+      });
+    });
+  }
+
+  // Apply an edit to one segment and rebuild the full text.
+  // Word timestamps inside the edited segment no longer match its text,
+  // so they are dropped and subtitle timing falls back to estimates.
+  function updateSegmentText(result, index, text) {
+    const segment = result.segments[index];
+    segment.text = ' ' + text.trim();
+    delete segment.words;
+
+    if (Array.isArray(result.words)) {
+      result.words = result.words.filter(w => w.start < segment.start - 0.01 || w.start >= segment.end);
+    }
+
+    result.text = result.segments.map(s => s.text.trim()).join(' ');
+  }
+
+  // Keep the active row visible without scrolling the page
+  function scrollIntoList(list, row) {
+    const top = row.offsetTop - list.offsetTop;
+    if (top < list.scrollTop || top + row.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = top - list.clientHeight / 3;
+    }
+  }
+
+  // Format seconds as M:SS.s
+  // Rounded to tenths first, so 59.96 shows as 1:00.0 rather than 0:60.0
+  function formatTime(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const mins = Math.floor(tenths / 600);
+    const secs = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return `${mins}:${secs}`;
+  }
+
+  // Escape text for HTML
+  function escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Public API
+  window.TranscriptEditor = {
+    mount: mount,
+    updateSegmentText: updateSegmentText
+  };
+})();
@@ -1 +1,103 @@
-const _0x1e0798=_0x341b;(function(_0x358586,_0x51da2){const _0x2dbe65=_0x341b,_0x14f200=_0x358586();while(!![]){try{const _0x3d4978=-parseInt(_0x2dbe65(0x13b))/0x1*(parseInt(_0x2dbe65(0x13f))/0x2)+-parseInt(_0x2dbe65(0x14f))/0x3*(parseInt(_0x2dbe65(0x154))/0x4)+-parseInt(_0x2dbe65(0x152))/0x5*(-parseInt(_0x2dbe65(0x146))/0x6)+parseInt(_0x2dbe65(0x167))/0x7*(parseInt(_0x2dbe65(0x140))/0x8)+-parseInt(_0x2dbe65(0x142))/0x9*(parseInt(_0x2dbe65(0x161))/0xa)+parseInt(_0x2dbe65(0x165))/0xb+parseInt(_0x2dbe65(0x13e))/0xc*(-parseInt(_0x2dbe65(0x169))/0xd);if(_0x3d4978===_0x51da2)break;else _0x14f200['push'](_0x14f200['shift']());}catch(_0x5cfce9){_0x14f200['push'](_0x14f200['shift']());}}}(_0x41cc,0x3306c));function showSpinner(){const _0x4362d5=_0x341b;document['getElementById'](_0x4362d5(0x174))[_0x4362d5(0x155)][_0x4362d5(0x13d)]='block',document[_0x4362d5(0x168)](_0x4362d5(0x149))[_0x4362d5(0x155)][_0x4362d5(0x13d)]=_0x4362d5(0x156);}function _0x341b(_0x31918c,_0x98046f){const _0x41cced=_0x41cc();return _0x341b=function(_0x341be0,_0x176827){_0x341be0=_0x341be0-0x13b;let _0x3a3dfe=_0x41cced[_0x341be0];return _0x3a3dfe;},_0x341b(_0x31918c,_0x98046f);}function hideSpinner(){const _0x142f9c=_0x341b;document[_0x142f9c(0x168)](_0x142f9c(0x174))[_0x142f9c(0x155)][_0x142f9c(0x13d)]='none';}function showResultSection(){const _0x5b1d58=_0x341b;document[_0x5b1d58(0x168)](_0x5b1d58(0x149))[_0x5b1d58(0x155)][_0x5b1d58(0x13d)]='block';}function displayMedia(_0x425d00,_0x58cb07){const _0x3b3fc3=_0x341b,_0x49d01e=document['getElementById'](_0x3b3fc3(0x148)),_0x4c1128=document[_0x3b3fc3(0x168)](_0x3b3fc3(0x172));_0x49d01e['src']='',_0x4c1128['innerHTML']='';_0x425d00?(_0x49d01e[_0x3b3fc3(0x157)]=_0x425d00,_0x49d01e[_0x3b3fc3(0x155)][_0x3b3fc3(0x13d)]=_0x3b3fc3(0x171)):_0x49d01e[_0x3b3fc3(0x155)][_0x3b3fc3(0x13d)]=_0x3b3fc3(0x156);if(_0x58cb07){const _0x43540e=document[_0x3b3fc3(0x15f)]('a');_0x43540e[_0x3b3fc3(0x170)]=_0x58cb07,_0x43540e[_0x3b3fc3(0x163)]='download-btn',_0x43540e[_0x3b3fc3(0x16f)]='<i\x20class=\x22fas\x20fa-file-download\x22></i>\x20Download\x20Video',_0x43540e[_0x3b3fc3(0x14c)]=_0x3b3fc3(0x166),_0x4c1128['appendChild'](_0x43540e);}showResultSection();}function showMessage(_0xe94d45,_0x47344f){const _0x4fe080=_0x341b,_0x1f7839=document[_0x4fe080(0x168)](_0x4fe080(0x16d));_0x1f7839[_0x4fe080(0x16f)]=_0x4fe080(0x14b)+_0xe94d45+'-message\x22>'+_0x47344f+_0x4fe080(0x143);}async function fetchInstagramReelData(_0x56cfe5){const _0x2a1cf3=_0x341b;showSpinner(),showMessage(_0x2a1cf3(0x15c),_0x2a1cf3(0x15e));if(!_0x56cfe5){showMessage(_0x2a1cf3(0x14a),'Please\x20provide\x20a\x20valid\x20Instagram\x20URL.'),hideSpinner();return;}try{const _0x2e2456=await fetch('https://api.instasave.website/media',{'method':_0x2a1cf3(0x16e),'headers':{'Content-Type':_0x2a1cf3(0x14e)},'body':new URLSearchParams({'url':_0x56cfe5})}),_0x25d509=await _0x2e2456[_0x2a1cf3(0x16c)]();let _0x533d61;try{_0x533d61=JSON[_0x2a1cf3(0x15d)](_0x25d509);}catch(_0x3bf8fe){_0x533d61={'error':_0x2a1cf3(0x15b),'response':_0x25d509};}hideSpinner();if(_0x533d61[_0x2a1cf3(0x14a)]==='Invalid\x20response\x20format'){const _0x55fae7=_0x533d61['response']||'',_0x507d65=_0x55fae7[_0x2a1cf3(0x158)](/loader\.style\.display="none";/,'')['replace'](/document\.getElementById\("div_download"\)\.innerHTML ="/,'')[_0x2a1cf3(0x158)](/";document\.getElementById\("downloader"\)\.remove\(\);showAd\(\);/,'')[_0x2a1cf3(0x158)](/\\/g,''),_0x5e1193=new DOMParser(),_0x3effba=_0x5e1193[_0x2a1cf3(0x151)](_0x507d65,_0x2a1cf3(0x16b)),_0x1616bf=_0x3effba[_0x2a1cf3(0x13c)]('.download-items__thumb\x20img')?.['getAttribute'](_0x2a1cf3(0x157)),_0x353ede=_0x3effba[_0x2a1cf3(0x13c)](_0x2a1cf3(0x14d))?.['getAttribute'](_0x2a1cf3(0x170));_0x353ede?(displayMedia(_0x1616bf,_0x353ede),showMessage(_0x2a1cf3(0x15c),_0x2a1cf3(0x173))):showMessage(_0x2a1cf3(0x14a),_0x2a1cf3(0x150));}else _0x533d61[_0x2a1cf3(0x14a)]?showMessage(_0x2a1cf3(0x14a),_0x533d61['error']):_0x533d61[_0x2a1cf3(0x162)]?(displayMedia(_0x533d61[_0x2a1cf3(0x148)],_0x533d61[_0x2a1cf3(0x162)]),showMessage(_0x2a1cf3(0x15c),_0x2a1cf3(0x173))):showMessage('error',_0x2a1cf3(0x150));}catch(_0x50a352){showMessage('error',_0x2a1cf3(0x160)),hideSpinner(),console[_0x2a1cf3(0x14a)](_0x2a1cf3(0x153),_0x50a352);}}function _0x41cc(){const _0x3e9dde=['querySelector','display','508764zhjllp','87254ZgBCwQ','56RVrKFu','addEventListener','9MGQFzk','</div>','key','value','1273212tXruHs','Enter','thumbnail','resultSection','error','<div\x20class=\x22','download','a.abutton.is-success','application/x-www-form-urlencoded','69BAjoUb','No\x20downloadable\x20video\x20found\x20in\x20the\x20response.','parseFromString','5RnlsFr','Fetch\x20Error:','53948tPKyqX','style','none','src','replace','fetchButton','instagramReelUrl','Invalid\x20response\x20format','success','parse','Processing\x20your\x20request...','createElement','Failed\x20to\x20fetch\x20video.\x20Please\x20try\x20again.','59870VDNogb','download_url','className','trim','3977435Mxwmvm','instagram_video.mp4','37429OvpAug','getElementById','13rqwGwv','click','text/html','text','response','POST','innerHTML','href','block','downloadOptions','Video\x20ready\x20for\x20download!','spinner','1bcqusq'];_0x41cc=function(){return _0x3e9dde;};return _0x41cc();}document['getElementById'](_0x1e0798(0x159))['addEventListener'](_0x1e0798(0x16a),async function(){const _0x2ddeed=_0x1e0798,_0x392a5d=document['getElementById'](_0x2ddeed(0x15a))[_0x2ddeed(0x145)][_0x2ddeed(0x164)]();await fetchInstagramReelData(_0x392a5d);}),document[_0x1e0798(0x168)](_0x1e0798(0x15a))[_0x1e0798(0x141)]('keypress',function(_0x226149){const _0x349dd6=_0x1e0798;_0x226149[_0x349dd6(0x144)]===_0x349dd6(0x147)&&document['getElementById'](_0x349dd6(0x159))[_0x349dd6(0x16a)]();});
+// Download mode: resolve an Instagram URL and offer the video for download
+
+function showSpinner() {
+  document.getElementById('spinner').style.display = 'block';
+  document.getElementById('resultSection').style.display = 'none';
+}
+
+function hideSpinner() {
+  document.getElementById('spinner').style.display = 'none';
+}
+
+function showResultSection() {
+  document.getElementById('resultSection').style.display = 'block';
+}
+
+// filename is the video's name without extension, from the filename template
+function displayMedia(thumbnailUrl, downloadUrl, filename) {
+  const thumbnail = document.getElementById('thumbnail');
+  const downloadOptions = document.getElementById('downloadOptions');
+
+  thumbnail.src = '';
+  downloadOptions.innerHTML = '';
+
+  if (thumbnailUrl) {
+    thumbnail.src = thumbnailUrl;
+    thumbnail.style.display = 'block';
+  } else {
+    thumbnail.style.display = 'none';
+  }
+
+  if (downloadUrl) {
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.className = 'download-btn';
+    link.innerHTML = '<i class="fas fa-file-download"></i> Download Video';
+    link.download = `${filename || 'instagram_video'}.mp4`;
+    link.addEventListener('click', function(e) {
+      e.preventDefault();
+      saveVideo(downloadUrl, link.download);
+    });
+    downloadOptions.appendChild(link);
+  }
+
+  showResultSection();
+}
+
+// Cross-origin links ignore the download attribute, so fetch the video and save the Blob
+async function saveVideo(downloadUrl, filename) {
+  try {
+    const saved = await Transfer.saveUrl(downloadUrl, filename, function(progress) {
+      showMessage('success', 'Downloading video... ' + Transfer.describe(progress));
+    });
+    showMessage(saved ? 'success' : 'info', saved ?
+      'Video saved as ' + filename :
+      'Video download started. The CDN blocks direct downloads here, so it keeps the CDN\'s file name.');
+  } catch (error) {
+    showMessage('error', error.message || 'Failed to download video.');
+    console.error('Download Error:', error);
+  }
+}
+
+function showMessage(type, message) {
+  const responseDiv = document.getElementById('response');
+  responseDiv.innerHTML = '<div class="' + type + '-message">' + message + '</div>';
+}
+
+async function fetchInstagramReelData(url) {
+  showSpinner();
+  showMessage('success', 'Processing your request...');
+
+  const link = InstagramUrl.parse(url);
+  if (!link.valid) {
+    showMessage('error', url ? `${link.reason}.` : 'Please provide a valid Instagram URL.');
+    hideSpinner();
+    return;
+  }
+
+  try {
+    const media = await MediaResolver.resolve(link.url);
+    hideSpinner();
+    displayMedia(media.thumbnailUrl, media.videoUrl, OutputFilename.build({
+      shortcode: link.shortcode,
+      author: media.author,
+      date: Date.now()
+    }));
+    showMessage('success', 'Video ready for download!');
+  } catch (error) {
+    hideSpinner();
+    showMessage('error', error.message || 'Failed to fetch video. Please try again.');
+    console.error('Fetch Error:', error);
+  }
+}
+
+document.getElementById('fetchButton').addEventListener('click', async function() {
+  const url = document.getElementById('instagramReelUrl').value.trim();
+  await fetchInstagramReelData(url);
+});
+
+document.getElementById('instagramReelUrl').addEventListener('keypress', function(e) {
+  if (e.key === 'Enter') {
+    document.getElementById('fetchButton').click();
+  }
+});
@@ -1,8 +1,8 @@
-  // Clean Instagram URL by removing tracking parameters
-  function cleanInstagramUrl(url) {
-    if (!url) return url;
-    // Remove everything after ? (tracking parameters)
-    return url.split('?')[0];
+  // Tidy a link as it's typed: one carrying tracking params or a fragment is
+  // replaced by its canonical form; anything else is left so typing isn't interrupted
+  function tidyInstagramUrl(url) {
+    if (!url || !/[?#]/.test(url)) return url;
+    return InstagramUrl.normalize(url);
   }
 
   // Download mode input handlers
@@ -13,7 +13,7 @@
   if (input && pasteBtn && clearBtn) {
     input.addEventListener('input', () => {
       // Clean URL on input
-      const cleaned = cleanInstagramUrl(input.value);
+      const cleaned = tidyInstagramUrl(input.value);
       if (cleaned !== input.value) {
         input.value = cleaned;
       }
@@ -23,7 +23,7 @@
     pasteBtn.addEventListener('click', async () => {
       try {
         const text = await navigator.clipboard.readText();
-        input.value = cleanInstagramUrl(text);
+        input.value = InstagramUrl.normalize(text.trim());
         input.dispatchEvent(new Event('input'));
       } catch (err) {
         alert('Clipboard access not allowed. Please paste manually.');
@@ -45,7 +45,7 @@
   if (transcribeInput && pasteTranscribeBtn && clearTranscribeBtn) {
     transcribeInput.addEventListener('input', () => {
       // Clean URL on input
-      const cleaned = cleanInstagramUrl(transcribeInput.value);
+      const cleaned = tidyInstagramUrl(transcribeInput.value);
       if (cleaned !== transcribeInput.value) {
         transcribeInput.value = cleaned;
       }
@@ -55,7 +55,7 @@
     pasteTranscribeBtn.addEventListener('click', async () => {
       try {
         const text = await navigator.clipboard.readText();
-        transcribeInput.value = cleanInstagramUrl(text);
+        transcribeInput.value = InstagramUrl.normalize(text.trim());
         transcribeInput.dispatchEvent(new Event('input'));
       } catch (err) {
         alert('Clipboard access not allowed. Please paste manually.');
@@ -0,0 +1,401 @@
+// Transcript export formats shared by the single and bulk flows
+(function() {
+  'use strict';
+
+  // Registered formats, in the order they are offered
+  const formats = [];
+
+  // Cue limits sized for a 9:16 reel
+  const SUBTITLE_DEFAULTS = {
+    maxCharsPerLine: 32,
+    maxLines: 2,
+    maxCueDuration: 5
+  };
+
+  // ==================== REGISTRY ====================
+
+  // Register an export format
+  // format: { id, label, extension, mimeType, icon, render(result) -> string }
+  function registerFormat(format) {
+    if (!format || !format.id || typeof format.render !== 'function') {
+      throw new Error('Export format needs an id and a render(result) function');
+    }
+
+    const index = formats.findIndex(f => f.id === format.id);
+    if (index !== -1) {
+      formats[index] = format;
+    } else {
+      formats.push(format);
+    }
+  }
+
+  // Look up a format by id
+  function getFormat(id) {
+    return formats.find(f => f.id === id) || null;
+  }
+
+  // List all registered formats
+  function listFormats() {
+    return formats.slice();
+  }
+
+  // Render a transcription result (Whisper verbose_json shape) in a format
+  function render(id, result) {
+    const format = getFormat(id);
+    if (!format) {
+      throw new Error(`Unknown export format: ${id}`);
+    }
+    return format.render(result || {});
+  }
+
+  // ==================== TIME HELPERS ====================
+
+  // Pad number with zeros
+  function pad(num, length) {
+    return String(num).padStart(length, '0');
+  }
+
+  // Format seconds as HH:MM:SS{sep}mmm
+  function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round((seconds || 0) * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(ms, 3)}`;
+  }
+
+  // Format seconds as [MM:SS] or [H:MM:SS] for reading
+  function formatClock(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    return hours > 0 ?
+      `${hours}:${pad(minutes, 2)}:${pad(secs, 2)}` :
+      `${pad(minutes, 2)}:${pad(secs, 2)}`;
+  }
+
+  function getSegments(result) {
+    return Array.isArray(result.segments) ? result.segments : [];
+  }
+
+  // Quote a CSV field when it contains a delimiter, quote or newline
+  function csvField(value) {
+    const str = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // ==================== SUBTITLE CUES ====================
+
+  // Subtitle limits from Settings, falling back to defaults
+  function getSubtitleOptions(overrides) {
+    const saved = window.Settings && Settings.getSubtitleOptions ? Settings.getSubtitleOptions() : {};
+    return Object.assign({}, SUBTITLE_DEFAULTS, saved, overrides);
+  }
+
+  // Collect timed words for a result.
+  // Uses Whisper word timestamps where present, borrowing punctuation from
+  // the segment text; otherwise spreads each segment's duration across its
+  // words in proportion to their length.
+  function getTimedWords(result) {
+    const segments = getSegments(result);
+    const allWords = Array.isArray(result.words) ? result.words :
+      segments.reduce((acc, segment) => acc.concat(segment.words || []), []);
+
+    if (segments.length === 0) {
+      return allWords.map(w => ({ text: w.word.trim(), start: w.start, end: w.end }));
+    }
+
+    const timed = [];
+    segments.forEach(segment => {
+      const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+      const words = allWords.filter(w => w.start >= segment.start - 0.01 && w.start < segment.end);
+
+      if (words.length > 0) {
+        const sameShape = words.length === tokens.length;
+        words.forEach((w, i) => {
+          timed.push({ text: sameShape ? tokens[i] : w.word.trim(), start: w.start, end: w.end });
+        });
+        return;
+      }
+
+      const totalChars = tokens.reduce((sum, t) => sum + t.length, 0) || 1;
+      const span = segment.end - segment.start;
+      let cursor = segment.start;
+      tokens.forEach(token => {
+        const length = span * (token.length / totalChars);
+        timed.push({ text: token, start: cursor, end: cursor + length });
+        cursor += length;
+      });
+    });
+
+    return timed;
+  }
+
+  // Group timed words into cues that respect the line, length and duration limits
+  // Returns [{ start, end, lines: [[word, ...], ...] }]
+  function buildCues(result, overrides) {
+    const options = getSubtitleOptions(overrides);
+    const words = getTimedWords(result);
+    const cues = [];
+    let cue = null;
+
+    const lineLength = (line) => line.reduce((sum, w) => sum + w.text.length, 0) + Math.max(0, line.length - 1);
+
+    words.forEach(word => {
+      // Start a fresh cue after a sentence ends, a long pause, or the duration cap
+      if (cue) {
+        const lastLine = cue.lines[cue.lines.length - 1];
+        const previous = lastLine[lastLine.length - 1];
+        if (/[.!?]$/.test(previous.text) ||
+            word.start - previous.end > 1 ||
+            word.end - cue.start > options.maxCueDuration) {
+          cues.push(cue);
+          cue = null;
+        }
+      }
+
+      if (!cue) {
+        cue = { start: word.start, end: word.end, lines: [[word]] };
+        return;
+      }
+
+      const line = cue.lines[cue.lines.length - 1];
+      if (lineLength(line) + 1 + word.text.length <= options.maxCharsPerLine) {
+        line.push(word);
+      } else if (cue.lines.length < options.maxLines) {
+        cue.lines.push([word]);
+      } else {
+        cues.push(cue);
+        cue = { start: word.start, end: word.end, lines: [[word]] };
+        return;
+      }
+      cue.end = word.end;
+    });
+
+    if (cue) {
+      cues.push(cue);
+    }
+
+    return cues;
+  }
+
+  // Join a cue's words into display text, one line per row
+  function cueText(cue, lineSeparator = '\n') {
+    return cue.lines.map(line => line.map(w => w.text).join(' ')).join(lineSeparator);
+  }
+
+  // Format seconds for ASS (H:MM:SS.cc)
+  function formatAssTime(seconds) {
+    const totalCs = Math.round((seconds || 0) * 100);
+    const hours = Math.floor(totalCs / 360000);
+    const minutes = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+
+    return `${hours}:${pad(minutes, 2)}:${pad(secs, 2)}.${pad(cs, 2)}`;
+  }
+
+  // ==================== METADATA ====================
+
+  // "key: value" lines for result.metadata (extra columns from a bulk import)
+  function metadataLines(result) {
+    const metadata = result.metadata || {};
+    return Object.keys(metadata).map(key =>
+      `${key}: ${String(metadata[key]).replace(/\s*\n\s*/g, ' ')}`
+    );
+  }
+
+  // WebVTT NOTE block for metadata, or '' when there is none
+  function vttNote(result) {
+    const lines = metadataLines(result);
+    return lines.length > 0 ? `NOTE\n${lines.join('\n').replace(/-->/g, '->')}\n\n` : '';
+  }
+
+  // ==================== BUILT-IN FORMATS ====================
+
+  registerFormat({
+    id: 'txt',
+    label: 'TXT',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    icon: 'fa-file-alt',
+    render: function(result) {
+      const lines = metadataLines(result);
+      return (lines.length > 0 ? lines.join('\n') + '\n\n' : '') + (result.text || '');
+    }
+  });
+
+  registerFormat({
+    id: 'srt',
+    label: 'SRT',
+    extension: 'srt',
+    mimeType: 'text/srt',
+    icon: 'fa-closed-captioning',
+    // SRT has no comment syntax, so metadata is left out
+    render: function(result) {
+      return buildCues(result).map((cue, index) =>
+        `${index + 1}\n` +
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n` +
+        `${cueText(cue)}\n\n`
+      ).join('');
+    }
+  });
+
+  registerFormat({
+    id: 'vtt',
+    label: 'WebVTT',
+    extension: 'vtt',
+    mimeType: 'text/vtt',
+    icon: 'fa-closed-captioning',
+    render: function(result) {
+      const cues = buildCues(result).map(cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n` +
+        `${cueText(cue)}\n`
+      );
+      return 'WEBVTT\n\n' + vttNote(result) + cues.join('\n');
+    }
+  });
+
+  registerFormat({
+    id: 'json',
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    icon: 'fa-code',
+    render: function(result) {
+      return JSON.stringify(result, null, 2);
+    }
+  });
+
+  registerFormat({
+    id: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    icon: 'fa-table',
+    // Metadata fields are repeated on every row, so segments can be filtered by them
+    render: function(result) {
+      const metadata = result.metadata || {};
+      const keys = Object.keys(metadata);
+      const extra = keys.map(key => csvField(String(metadata[key])));
+
+      const rows = getSegments(result).map(segment =>
+        [segment.start.toFixed(3), segment.end.toFixed(3), csvField(segment.text.trim())].concat(extra).join(',')
+      );
+      const header = ['start', 'end', 'text'].concat(keys.map(key => csvField(key))).join(',');
+      return [header].concat(rows).join('\n') + '\n';
+    }
+  });
+
+  registerFormat({
+    id: 'md',
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    icon: 'fa-file-lines',
+    render: function(result) {
+      const lines = ['# Transcript', ''];
+      if (result.language) {
+        lines.push(`- Language: ${result.language}`);
+      }
+      if (result.duration) {
+        lines.push(`- Duration: ${formatClock(result.duration)}`);
+      }
+      metadataLines(result).forEach(line => lines.push(`- ${line}`));
+      if (lines.length > 2) {
+        lines.push('');
+      }
+
+      const segments = getSegments(result);
+      if (segments.length === 0) {
+        lines.push(result.text || '');
+      } else {
+        segments.forEach(segment => {
+          lines.push(`**[${formatClock(segment.start)}]** ${segment.text.trim()}`, '');
+        });
+      }
+
+      return lines.join('\n').trim() + '\n';
+    }
+  });
+
+  // Word-highlight WebVTT: inline timestamps before each word after the first
+  registerFormat({
+    id: 'vtt-karaoke',
+    label: 'WebVTT (word highlight)',
+    extension: 'karaoke.vtt',
+    mimeType: 'text/vtt',
+    icon: 'fa-highlighter',
+    render: function(result) {
+      const cues = buildCues(result).map(cue => {
+        const text = cue.lines.map(line => line.map(w =>
+          w.start > cue.start ? `<${formatTimestamp(w.start, '.')}>${w.text}` : w.text
+        ).join(' ')).join('\n');
+
+        return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${text}\n`;
+      });
+      return 'WEBVTT\n\n' + vttNote(result) + cues.join('\n');
+    }
+  });
+
+  // Word-highlight ASS: \k tags hold each word (plus any gap after it) in centiseconds
+  registerFormat({
+    id: 'ass',
+    label: 'ASS (karaoke)',
+    extension: 'ass',
+    mimeType: 'text/x-ssa',
+    icon: 'fa-highlighter',
+    render: function(result) {
+      const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        'PlayResX: 1080',
+        'PlayResY: 1920',
+        'WrapStyle: 2'
+      ].concat(metadataLines(result).map(line => `; ${line}`), [
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Default,Arial,72,&H0000FFFF,&H00FFFFFF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,4,0,2,60,60,320,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+      ]);
+
+      const events = buildCues(result).map(cue => {
+        const flat = cue.lines.reduce((acc, line) => acc.concat(line), []);
+        const nextStart = (w, i) => (i + 1 < flat.length ? flat[i + 1].start : cue.end);
+        let index = 0;
+
+        const text = cue.lines.map(line => line.map(w => {
+          const i = index++;
+          const lead = i === 0 ? Math.round((w.start - cue.start) * 100) : 0;
+          const duration = Math.max(1, Math.round((nextStart(w, i) - w.start) * 100));
+          const pause = lead > 0 ? `{\\k${lead}}` : '';
+          return `${pause}{\\k${duration}}${w.text.replace(/[{}]/g, '')}`;
+        }).join(' ')).join('\\N');
+
+        return `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${text}`;
+      });
+
+      return header.concat(events).join('\n') + '\n';
+    }
+  });
+
+  // Public API
+  window.TranscriptFormats = {
+    register: registerFormat,
+    get: getFormat,
+    list: listFormats,
+    render: render,
+    buildCues: buildCues,
+    getTimedWords: getTimedWords,
+    formatTimestamp: formatTimestamp,
+    csvField: csvField,
+    metadataLines: metadataLines
+  };
+})();
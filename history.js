@@ -0,0 +1,438 @@
+// Transcript history stored in IndexedDB, plus the History tab UI
+(function() {
+  'use strict';
+
+  const DB_NAME = 'instascribe';
+  // 2: entries indexed by Instagram shortcode
+  const DB_VERSION = 2;
+  const STORE_NAME = 'transcripts';
+
+  // A video that stalls while loading or seeking gets no frame after this long
+  const THUMBNAIL_TIMEOUT_MS = 5000;
+
+  // Lazily opened database connection
+  let dbPromise = null;
+
+  // DOM elements
+  let historyList;
+  let historySearchInput;
+  let clearHistoryButton;
+  let historyResponse;
+
+  // Entries from the last load, used for search and actions
+  let entries = [];
+
+  // ==================== STORAGE ====================
+
+  // Open (and upgrade) the database
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME) ?
+          request.transaction.objectStore(STORE_NAME) :
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+
+        if (event.oldVersion < 1) {
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (event.oldVersion < 2) {
+          store.createIndex('shortcode', 'shortcode');
+          backfillShortcodes(store);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+
+    return dbPromise;
+  }
+
+  // Give entries saved before the shortcode index one, from their source URL
+  function backfillShortcodes(store) {
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const shortcode = shortcodeFor(cursor.value.sourceUrl);
+      if (shortcode) {
+        cursor.update(Object.assign(cursor.value, { shortcode: shortcode }));
+      }
+      cursor.continue();
+    };
+  }
+
+  // Instagram shortcode of a source URL, or null for uploads and other links
+  function shortcodeFor(url) {
+    const link = window.InstagramUrl && url ? InstagramUrl.parse(url) : null;
+    return link && link.valid ? link.shortcode : null;
+  }
+
+  // Run a request against the store and resolve with its result
+  async function withStore(mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = callback(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Add an entry, returning its id
+  function addEntry(entry) {
+    return withStore('readwrite', store => store.add(entry));
+  }
+
+  // Merge changes into an existing entry
+  async function updateEntry(id, changes) {
+    const entry = await getEntry(id);
+    if (!entry) return;
+    return withStore('readwrite', store => store.put(Object.assign(entry, changes)));
+  }
+
+  // Get one entry by id
+  function getEntry(id) {
+    return withStore('readonly', store => store.get(id));
+  }
+
+  // All entries, newest first
+  async function listEntries() {
+    const all = await withStore('readonly', store => store.getAll());
+    return (all || []).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Newest entry for a shortcode, or null; task limits it to 'transcribe' or 'translate',
+  // settings ({ model, languageHint }) to entries made with the same ones
+  async function findByShortcode(shortcode, task, settings) {
+    const matches = await withStore('readonly', store => store.index('shortcode').getAll(shortcode));
+    const newest = (matches || [])
+      .filter(entry => !task || entry.task === task)
+      // Entries saved before settings were recorded can't be compared, so never match
+      .filter(entry => !settings ||
+        (entry.model === settings.model && (entry.languageHint || '') === settings.languageHint))
+      .sort((a, b) => b.createdAt - a.createdAt)[0];
+    return newest || null;
+  }
+
+  // Delete one entry
+  function removeEntry(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  // Delete every entry
+  function clearEntries() {
+    return withStore('readwrite', store => store.clear());
+  }
+
+  // ==================== SAVING RESULTS ====================
+
+  // Summary fields shown in the list
+  function summarize(result) {
+    const text = (result.text || '').trim();
+    const segments = result.segments || [];
+    return {
+      text: text,
+      // A translation's own language is English; the source one may be unknown
+      language: (result.original ? result.sourceLanguage : result.language) || '',
+      duration: segments.length > 0 ? segments[segments.length - 1].end : (result.duration || 0),
+      wordCount: text ? text.split(/\s+/).length : 0
+    };
+  }
+
+  // Save a finished transcription; source is { url, thumbnailUrl, shortcode, author,
+  // model, languageHint }. Returns the new entry id
+  async function saveResult(result, mediaBlob, source = {}) {
+    let thumbnail = null;
+    try {
+      thumbnail = await captureThumbnail(mediaBlob);
+    } catch (error) {
+      console.warn('Could not capture thumbnail:', error);
+    }
+
+    return addEntry(Object.assign({
+      createdAt: Date.now(),
+      sourceUrl: source.url || '',
+      shortcode: source.shortcode || shortcodeFor(source.url),
+      author: source.author || null,
+      model: source.model || null,
+      languageHint: source.languageHint || '',
+      thumbnail: thumbnail || source.thumbnailUrl || null,
+      task: result.original ? 'translate' : 'transcribe',
+      result: result
+    }, summarize(result)));
+  }
+
+  // Wait for a video event, failing if it doesn't come in time
+  function waitForVideo(video, eventName) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), THUMBNAIL_TIMEOUT_MS);
+      video[`on${eventName}`] = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      video.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error('Failed to load video'));
+      };
+    });
+  }
+
+  // Grab a small JPEG frame from a video blob. Gives up (and the caller falls back to
+  // the resolver's thumbnail) if the video stalls, so saving never hangs on it.
+  async function captureThumbnail(mediaBlob) {
+    if (!mediaBlob || !mediaBlob.type || !mediaBlob.type.startsWith('video/')) {
+      return null;
+    }
+
+    const url = URL.createObjectURL(mediaBlob);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.src = url;
+
+    try {
+      await waitForVideo(video, 'loadeddata');
+
+      const seeked = waitForVideo(video, 'seeked');
+      video.currentTime = Math.min(0.5, video.duration / 2 || 0);
+      await seeked;
+
+      const width = 160;
+      const height = Math.round(width * (video.videoHeight / video.videoWidth)) || 284;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } finally {
+      URL.revokeObjectURL(url);
+      video.remove();
+    }
+  }
+
+  // ==================== HISTORY PANEL ====================
+
+  // Initialize history panel
+  function init() {
+    historyList = document.getElementById('historyList');
+    historySearchInput = document.getElementById('historySearchInput');
+    clearHistoryButton = document.getElementById('clearHistoryButton');
+    historyResponse = document.getElementById('historyResponse');
+
+    if (historySearchInput) {
+      historySearchInput.addEventListener('input', renderList);
+    }
+
+    if (clearHistoryButton) {
+      clearHistoryButton.addEventListener('click', handleClearAll);
+    }
+
+    // The page may have opened straight onto the History tab
+    if (window.Tabs && Tabs.getCurrentMode() === Tabs.MODES.HISTORY) {
+      refresh();
+    }
+  }
+
+  // Reload entries and redraw the list
+  async function refresh() {
+    if (!historyList) return;
+
+    try {
+      entries = await listEntries();
+      renderList();
+    } catch (error) {
+      console.error('Error loading history:', error);
+      showMessage('error', 'Failed to load history: ' + error.message);
+    }
+  }
+
+  // Draw entries matching the search box
+  function renderList() {
+    if (!historyList) return;
+
+    const query = historySearchInput ? historySearchInput.value.trim().toLowerCase() : '';
+    const visible = query ? entries.filter(entry =>
+      [entry.text, entry.sourceUrl, entry.language].some(field => (field || '').toLowerCase().includes(query))
+    ) : entries;
+
+    if (clearHistoryButton) {
+      clearHistoryButton.disabled = entries.length === 0;
+    }
+
+    if (visible.length === 0) {
+      historyList.innerHTML = `<p class="history-empty">${entries.length === 0 ? 'No saved transcriptions yet.' : 'No transcriptions match your search.'}</p>`;
+      return;
+    }
+
+    const formatOptions = TranscriptFormats.list().map(format =>
+      `<option value="${format.id}">${format.label}</option>`
+    ).join('');
+
+    historyList.innerHTML = visible.map(entry => `
+      <div class="history-item">
+        ${entry.thumbnail ?
+          `<img class="history-thumb" src="${escapeAttr(entry.thumbnail)}" alt="">` :
+          '<div class="history-thumb history-thumb-empty"><i class="fas fa-file-audio"></i></div>'}
+        <div class="history-info">
+          <div class="history-source">${escapeText(entry.sourceUrl || 'Uploaded media')}</div>
+          <div class="history-meta">
+            <span><i class="fas fa-calendar"></i> ${new Date(entry.createdAt).toLocaleString()}</span>
+            <span><i class="fas fa-language"></i> ${escapeText(entry.language || 'unknown')}</span>
+            <span><i class="fas fa-clock"></i> ${formatDuration(entry.duration)}</span>
+            <span><i class="fas fa-file-word"></i> ${entry.wordCount} words</span>
+          </div>
+          <div class="history-snippet">${escapeText((entry.text || '').slice(0, 160))}</div>
+        </div>
+        <div class="history-actions">
+          <button class="queue-action-btn" onclick="TranscriptHistory.open(${entry.id})" title="Open">
+            <i class="fas fa-folder-open"></i>
+          </button>
+          <select class="history-format" id="historyFormat${entry.id}" aria-label="Export format">${formatOptions}</select>
+          <button class="queue-action-btn" onclick="TranscriptHistory.exportEntry(${entry.id})" title="Export">
+            <i class="fas fa-download"></i>
+          </button>
+          <button class="queue-action-btn history-delete-btn" onclick="TranscriptHistory.remove(${entry.id})" title="Delete">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Reopen an entry in the Transcribe result view
+  async function openEntry(id) {
+    const entry = await getEntry(id);
+    if (!entry) return;
+
+    if (window.Tabs) {
+      Tabs.switchTo(Tabs.MODES.TRANSCRIBE);
+    }
+    WhisperAPI.showResult(entry.result, null, {
+      historyId: entry.id,
+      source: {
+        url: entry.sourceUrl,
+        shortcode: entry.shortcode,
+        author: entry.author,
+        createdAt: entry.createdAt
+      }
+    });
+  }
+
+  // Export an entry in the format picked next to it
+  async function exportEntry(id) {
+    const entry = await getEntry(id);
+    if (!entry) return;
+
+    const select = document.getElementById(`historyFormat${id}`);
+    const format = TranscriptFormats.get(select ? select.value : 'txt');
+    if (!format) return;
+
+    const content = TranscriptFormats.render(format.id, entry.result);
+    const blob = new Blob([content], { type: format.mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${OutputFilename.build({
+      url: entry.sourceUrl,
+      shortcode: entry.shortcode,
+      author: entry.author,
+      date: entry.createdAt,
+      language: entry.result.language
+    })}.${format.extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Delete one entry after confirmation
+  async function handleRemove(id) {
+    if (!confirm('Delete this transcription from history?')) return;
+
+    try {
+      await removeEntry(id);
+      await refresh();
+    } catch (error) {
+      console.error('Error deleting entry:', error);
+      showMessage('error', 'Failed to delete entry');
+    }
+  }
+
+  // Delete everything after confirmation
+  async function handleClearAll() {
+    if (entries.length === 0) return;
+    if (!confirm(`Delete all ${entries.length} saved transcriptions?`)) return;
+
+    try {
+      await clearEntries();
+      await refresh();
+      showMessage('success', 'History cleared');
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      showMessage('error', 'Failed to clear history');
+    }
+  }
+
+  // Format duration (seconds to MM:SS)
+  function formatDuration(seconds) {
+    const mins = Math.floor((seconds || 0) / 60);
+    const secs = Math.floor((seconds || 0) % 60);
+    return `${mins}:${String(secs).padStart(2, '0')}`;
+  }
+
+  // Escape text for HTML
+  function escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Escape a value for use inside a double-quoted attribute
+  function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  }
+
+  // Show message
+  function showMessage(type, message) {
+    if (!historyResponse) return;
+
+    const className = type === 'error' ? 'error-message' :
+                     type === 'success' ? 'success-message' : 'info-message';
+    historyResponse.innerHTML = `<div class="${className}">${message}</div>`;
+  }
+
+  // Public API
+  window.TranscriptHistory = {
+    saveResult: saveResult,
+    update: updateEntry,
+    get: getEntry,
+    list: listEntries,
+    findByShortcode: findByShortcode,
+    refresh: refresh,
+    open: openEntry,
+    exportEntry: exportEntry,
+    remove: handleRemove,
+    clear: clearEntries
+  };
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
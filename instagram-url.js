@@ -0,0 +1,100 @@
+// Instagram link parsing: validates, classifies and normalizes post, reel and TV URLs
+(function() {
+  'use strict';
+
+  // Hosts that serve Instagram links, after "www." / "m." are dropped
+  const HOSTS = ['instagram.com', 'instagr.am'];
+
+  // Path segment before the shortcode, and the kind of link it marks
+  const TYPES = {
+    p: 'post',
+    reel: 'reel',
+    reels: 'reel',
+    tv: 'tv'
+  };
+
+  // Canonical path segment for each kind
+  const CANONICAL_SEGMENTS = {
+    post: 'p',
+    reel: 'reel',
+    tv: 'tv'
+  };
+
+  // Shortcodes are URL-safe base64; public ones are 11 characters, private ones longer
+  const SHORTCODE_PATTERN = /^[A-Za-z0-9_-]{5,}$/;
+
+  function reject(reason) {
+    return { valid: false, reason: reason };
+  }
+
+  // Parse a pasted link. Returns { valid: true, type, shortcode, url } where type is
+  // 'post', 'reel' or 'tv' and url is the canonical link, or { valid: false, reason }.
+  function parse(input) {
+    const text = (input || '').trim();
+    if (!text) {
+      return reject('No URL entered');
+    }
+
+    let url;
+    try {
+      // Links copied without a scheme, e.g. "instagram.com/reel/..."
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (error) {
+      return reject('Not a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return reject('Not a web link');
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+    if (!HOSTS.includes(host)) {
+      return reject(`${url.hostname} is not an Instagram link`);
+    }
+
+    // Links can be scoped to a profile: /username/reel/<code>/
+    const segments = url.pathname.split('/').filter(Boolean);
+    const typeIndex = segments.findIndex(segment => TYPES[segment.toLowerCase()]);
+
+    if (typeIndex === -1) {
+      if (segments[0] === 'stories') {
+        return reject('Stories are not supported; use a post or reel link');
+      }
+      if (segments.length === 1) {
+        return reject('This is a profile link; use a link to a post or reel');
+      }
+      return reject('Not a link to a post, reel or TV video');
+    }
+    if (typeIndex > 1) {
+      return reject('Not a link to a post, reel or TV video');
+    }
+
+    const type = TYPES[segments[typeIndex].toLowerCase()];
+    const shortcode = segments[typeIndex + 1];
+    if (!shortcode) {
+      return reject(type === 'reel' ? 'This is the Reels feed, not a single reel' : 'The link is missing the post code');
+    }
+    if (!SHORTCODE_PATTERN.test(shortcode)) {
+      return reject('The link has an invalid post code');
+    }
+
+    return {
+      valid: true,
+      type: type,
+      shortcode: shortcode,
+      url: `https://www.instagram.com/${CANONICAL_SEGMENTS[type]}/${shortcode}/`
+    };
+  }
+
+  // The canonical form of a link, or the text unchanged if it isn't a valid one
+  function normalize(input) {
+    const parsed = parse(input);
+    return parsed.valid ? parsed.url : input;
+  }
+
+  // Public API
+  window.InstagramUrl = {
+    parse: parse,
+    normalize: normalize
+  };
+})();
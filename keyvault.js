@@ -0,0 +1,58 @@
+// Passphrase encryption for stored API keys (Web Crypto PBKDF2 + AES-GCM)
+(function() {
+  'use strict';
+
+  // PBKDF2-SHA256 rounds; OWASP's current recommendation
+  const ITERATIONS = 600000;
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode.apply(null, new Uint8Array(bytes)));
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  // Random salt for a new passphrase, as base64
+  function newSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  }
+
+  // Derive a non-extractable AES-GCM key from a passphrase and base64 salt
+  async function deriveKey(passphrase, salt, iterations = ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Encrypt text, returning { iv, data } as base64
+  async function encrypt(text, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  // Decrypt { iv, data }; rejects if the key is wrong or the data was altered
+  async function decrypt(payload, key) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+
+  // Public API
+  window.KeyVault = {
+    ITERATIONS: ITERATIONS,
+    newSalt: newSalt,
+    deriveKey: deriveKey,
+    encrypt: encrypt,
+    decrypt: decrypt
+  };
+})();
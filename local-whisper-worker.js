@@ -0,0 +1,56 @@
+// Runs a Whisper model with transformers.js (WebAssembly, CPU) off the main thread.
+// Loaded as a module worker by local-whisper.js.
+import { pipeline, env } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.1';
+
+// Models come from the Hugging Face hub and are kept in the browser's Cache Storage,
+// so they're only downloaded once
+env.allowLocalModels = false;
+env.useBrowserCache = true;
+
+let transcriber = null;
+let loadedModel = null;
+
+// Load a model, reusing the one already in memory when it's the same
+async function getTranscriber(model) {
+  if (transcriber && loadedModel === model) {
+    return transcriber;
+  }
+  if (transcriber) {
+    await transcriber.dispose();
+    transcriber = null;
+  }
+
+  transcriber = await pipeline('automatic-speech-recognition', `onnx-community/${model}`, {
+    device: 'wasm',
+    dtype: 'q8',
+    progress_callback: (event) => {
+      if (event.status === 'progress') {
+        postMessage({ type: 'download', file: event.file, loaded: event.loaded, total: event.total });
+      }
+    }
+  });
+  loadedModel = model;
+  return transcriber;
+}
+
+// One job at a time: { model, samples (16kHz mono Float32Array), language, task }
+self.onmessage = async (e) => {
+  const job = e.data;
+  try {
+    const run = await getTranscriber(job.model);
+    postMessage({ type: 'running' });
+
+    // 30s windows with overlap, the way Whisper is trained
+    const output = await run(job.samples, {
+      return_timestamps: true,
+      chunk_length_s: 30,
+      stride_length_s: 5,
+      language: job.language || null,
+      task: job.task
+    });
+
+    postMessage({ type: 'result', text: output.text, chunks: output.chunks || [] });
+  } catch (error) {
+    postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
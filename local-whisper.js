@@ -0,0 +1,182 @@
+// Offline transcription engine: a Whisper model running in the browser on the CPU.
+// Nothing leaves the device; the model is downloaded once and cached.
+(function() {
+  'use strict';
+
+  const WORKER_URL = 'local-whisper-worker.js';
+
+  let worker = null;
+
+  // The job the worker is busy with: { resolve, reject, onStatus, files }
+  let currentJob = null;
+
+  // Jobs run one after another; the worker holds one model and one inference
+  let queue = Promise.resolve();
+
+  // Whether this browser can run the engine
+  function isSupported() {
+    return typeof Worker !== 'undefined' && typeof WebAssembly === 'object';
+  }
+
+  // Start the worker on first use
+  function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(WORKER_URL, { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (e) => {
+      // Usually the model library failing to load from the CDN
+      e.preventDefault();
+      const job = currentJob;
+      stopWorker();
+      if (job) {
+        job.reject(new Error('Offline engine failed to load: ' + (e.message || 'check your connection for the first download')));
+      }
+    };
+    return worker;
+  }
+
+  // Terminate the worker, e.g. to stop an inference that was cancelled
+  function stopWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    currentJob = null;
+  }
+
+  function handleMessage(e) {
+    const message = e.data;
+    const job = currentJob;
+    if (!job) return;
+
+    if (message.type === 'download') {
+      // A model is several files; report them as one download
+      job.files[message.file] = { loaded: message.loaded || 0, total: message.total || 0 };
+      const files = Object.values(job.files);
+      const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+      const total = files.reduce((sum, file) => sum + file.total, 0);
+      job.track(loaded, total);
+    } else if (message.type === 'running') {
+      job.onStatus(job.task === 'translate' ? 'Translating on this device...' : 'Transcribing on this device...');
+    } else if (message.type === 'result') {
+      currentJob = null;
+      job.resolve(message);
+    } else if (message.type === 'error') {
+      currentJob = null;
+      job.reject(new Error('Offline transcription failed: ' + message.message));
+    }
+  }
+
+  // Full English language name ("spanish") for a hint code, the way the API reports it
+  function languageName(code) {
+    if (!code) return '';
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code).toLowerCase();
+    } catch (error) {
+      return code;
+    }
+  }
+
+  // Turn the model output into the API's { text, language, duration, segments } shape
+  function toResult(output, duration, options) {
+    const segments = output.chunks.map((chunk, index) => {
+      const start = chunk.timestamp[0] || 0;
+      const end = chunk.timestamp[1] !== null && chunk.timestamp[1] !== undefined ?
+        chunk.timestamp[1] : duration;
+      return { id: index, start: start, end: end, text: chunk.text };
+    });
+
+    const result = {
+      text: output.text.trim(),
+      duration: duration,
+      segments: segments
+    };
+
+    // transformers.js doesn't report the language it detected, so without a hint it's left out
+    const language = options.task === 'translate' ? 'english' : languageName(options.language);
+    if (language) {
+      result.language = language;
+    }
+    return result;
+  }
+
+  // Transcribe (or translate) a media blob on this device
+  // options: { localModel, language, task }
+  // control.onStatus(message, progress) reports the model download and stages;
+  // control.signal stops decoding or the running inference
+  function transcribe(mediaBlob, options, control = {}) {
+    const run = queue.then(() => runJob(mediaBlob, options, control));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function runJob(mediaBlob, options, control) {
+    const signal = control.signal;
+    const onStatus = control.onStatus || function() {};
+
+    if (!isSupported()) {
+      throw new Error('This browser can\'t run the offline engine (needs Web Workers and WebAssembly)');
+    }
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    // Whisper listens at 16kHz mono; decoding straight to 16kHz keeps the buffer small
+    onStatus('Decoding audio...');
+    try {
+      await AudioTools.checkChunkable(mediaBlob);
+    } catch (error) {
+      throw new Error('This file is too big for the offline engine: ' + error.message);
+    }
+    const audioBuffer = await AudioTools.decodeMedia(mediaBlob, AudioTools.TARGET_SAMPLE_RATE);
+    const samples = await AudioTools.toMonoSamples(audioBuffer, AudioTools.TARGET_SAMPLE_RATE);
+    const duration = samples.length / AudioTools.TARGET_SAMPLE_RATE;
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    onStatus('Loading offline model...');
+    const output = await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        stopWorker();
+        reject(signal.reason);
+      };
+
+      currentJob = {
+        task: options.task,
+        files: {},
+        track: Transfer.createTracker((progress) => onStatus('Downloading offline model...', progress)),
+        onStatus: onStatus,
+        resolve: (value) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        reject: (error) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // The samples are handed over rather than copied, so only the worker holds them
+      getWorker().postMessage({
+        model: options.localModel,
+        samples: samples,
+        language: options.task === 'translate' ? null : options.language,
+        task: options.task === 'translate' ? 'translate' : 'transcribe'
+      }, [samples.buffer]);
+    });
+
+    return toResult(output, duration, options);
+  }
+
+  // Public API
+  window.LocalWhisper = {
+    isSupported: isSupported,
+    transcribe: transcribe
+  };
+})();
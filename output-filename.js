@@ -0,0 +1,121 @@
+// Output filenames from a template such as "{author}_{shortcode}", safe on every OS
+(function() {
+  'use strict';
+
+  // Used when Settings isn't available or the saved template is empty
+  const DEFAULT_TEMPLATE = '{author}_{shortcode}';
+
+  // Name used when every token in the template came out empty
+  const FALLBACK_NAME = 'transcript';
+
+  // Tokens a template may use
+  const TOKENS = ['shortcode', 'author', 'date', 'index', 'lang'];
+
+  // Long names get cut here, leaving room for an extension and a collision suffix
+  const MAX_LENGTH = 120;
+
+  // Characters no filesystem is happy with, plus control characters
+  const UNSAFE_CHARS = /[\u0000-\u001f\u007f<>:"/\\|?*]+/g;
+
+  // Windows device names, which can't be used as a file's base name
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+  // Separators dropped next to a token that came out empty
+  const SEPARATORS = '[\\s_.-]+';
+
+  // The saved template, or the default
+  function getTemplate() {
+    const saved = window.Settings && Settings.getFilenameOptions ? Settings.getFilenameOptions().template : '';
+    return saved && saved.trim() ? saved : DEFAULT_TEMPLATE;
+  }
+
+  // Tokens in a template that aren't known, e.g. ['title'] for "{title}"
+  function findUnknownTokens(template) {
+    const found = (template || '').match(/\{[^{}]*\}/g) || [];
+    return found
+      .map(token => token.slice(1, -1))
+      .filter(name => !TOKENS.includes(name.toLowerCase()));
+  }
+
+  // Make a name safe to save: unsafe characters and whitespace become "_", leading and
+  // trailing dots go, long names are cut and device names get a trailing "_"
+  function sanitize(name) {
+    const cleaned = String(name || '')
+      .normalize('NFC')
+      .replace(UNSAFE_CHARS, '_')
+      .replace(/\s+/g, '_')
+      .slice(0, MAX_LENGTH)
+      .replace(/^\.+|\.+$/g, '');
+    return RESERVED_NAMES.test(cleaned) ? `${cleaned}_` : cleaned;
+  }
+
+  // Token values from what's known about a transcript:
+  // { url, shortcode, author, date (Date or ms), index, language }
+  function getTokenValues(info) {
+    const link = !info.shortcode && info.url ? InstagramUrl.parse(info.url) : null;
+    const date = info.date ? new Date(info.date) : null;
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return {
+      shortcode: info.shortcode || (link && link.valid ? link.shortcode : ''),
+      author: (info.author || '').replace(/^@/, ''),
+      date: date && !isNaN(date) ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '',
+      index: info.index === undefined || info.index === null ? '' : String(info.index),
+      lang: (info.language || '').toLowerCase()
+    };
+  }
+
+  // Base name (no extension) for a transcript, from the template or the saved one.
+  // A token with no value takes the separator next to it along, so "{author}_{shortcode}"
+  // without an author gives just the shortcode.
+  function build(info, template) {
+    const values = getTokenValues(info || {});
+    // Literal text at even indexes, tokens at odd ones
+    const pieces = (template || getTemplate()).split(/(\{[^{}]*\})/);
+    let output = '';
+
+    for (let i = 0; i < pieces.length; i++) {
+      if (i % 2 === 0) {
+        output += pieces[i];
+        continue;
+      }
+
+      const value = values[pieces[i].slice(1, -1).toLowerCase()] || '';
+      if (value) {
+        output += value;
+      } else if (output) {
+        // Only the template's own separator goes, never the end of a value before it
+        const separator = pieces[i - 1].match(new RegExp(`${SEPARATORS}$`));
+        if (separator) {
+          output = output.slice(0, -separator[0].length);
+        }
+      } else if (i + 1 < pieces.length) {
+        pieces[i + 1] = pieces[i + 1].replace(new RegExp(`^${SEPARATORS}`), '');
+      }
+    }
+
+    return sanitize(output) || FALLBACK_NAME;
+  }
+
+  // name, or name_2, name_3... if it's among the taken names (case-insensitive,
+  // since Windows and macOS treat "A" and "a" as the same file)
+  function unique(name, taken) {
+    const used = new Set(Array.from(taken || [], n => String(n).toLowerCase()));
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${name}_${n}`;
+    }
+    return candidate;
+  }
+
+  // Public API
+  window.OutputFilename = {
+    DEFAULT_TEMPLATE: DEFAULT_TEMPLATE,
+    TOKENS: TOKENS,
+    getTemplate: getTemplate,
+    findUnknownTokens: findUnknownTokens,
+    sanitize: sanitize,
+    build: build,
+    unique: unique
+  };
+})();
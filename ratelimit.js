@@ -0,0 +1,143 @@
+// Token-bucket rate limiter with adaptive backoff for rate-limited APIs
+(function() {
+  'use strict';
+
+  // First pause after a 429, doubled on each one in a row
+  const BASE_BACKOFF_MS = 2000;
+  const MAX_BACKOFF_MS = 60000;
+
+  // Wait ms, giving up early (with an AbortError) if signal aborts
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      // One signal can cover many waits, so the listener goes once the wait is over
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Create a limiter allowing ratePerMinute requests, with bursts up to burst.
+  // After a 429 the rate is halved and everyone waits; each success
+  // wins back a tenth of the configured rate.
+  function createRateLimiter(options = {}) {
+    let maxRate = options.ratePerMinute || 60;
+    let rate = maxRate;
+    const capacity = options.burst || 1;
+
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let backoffMs = 0;
+
+    function refill() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - lastRefill) / 60000) * rate);
+      lastRefill = now;
+    }
+
+    // Wait until a request may be sent; an aborted signal stops waiting
+    async function acquire(signal) {
+      for (;;) {
+        if (signal) {
+          signal.throwIfAborted();
+        }
+
+        const now = Date.now();
+        if (now < pausedUntil) {
+          await sleep(pausedUntil - now, signal);
+          continue;
+        }
+
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+
+        await sleep(Math.ceil(((1 - tokens) / rate) * 60000), signal);
+      }
+    }
+
+    // Record a successful request
+    function succeed() {
+      backoffMs = 0;
+      rate = Math.min(maxRate, rate + maxRate / 10);
+    }
+
+    // Record a 429; retryAfterMs from the server wins if it is longer
+    // Returns how long everyone will wait
+    function backoff(retryAfterMs) {
+      backoffMs = backoffMs ? Math.min(backoffMs * 2, MAX_BACKOFF_MS) : BASE_BACKOFF_MS;
+      const wait = Math.max(backoffMs, retryAfterMs || 0);
+
+      pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+      rate = Math.max(1, maxRate / 16, rate / 2);
+      tokens = 0;
+
+      return wait;
+    }
+
+    // Change the configured rate (e.g. from the Bulk tab)
+    function setRate(ratePerMinute) {
+      maxRate = Math.max(1, ratePerMinute);
+      rate = Math.min(rate, maxRate);
+    }
+
+    // Current state, for display
+    function status() {
+      return {
+        ratePerMinute: rate,
+        maxRatePerMinute: maxRate,
+        pausedForMs: Math.max(0, pausedUntil - Date.now())
+      };
+    }
+
+    return {
+      acquire: acquire,
+      succeed: succeed,
+      backoff: backoff,
+      setRate: setRate,
+      status: status
+    };
+  }
+
+  // Read a server's requested wait from response headers, in ms
+  // Handles retry-after-ms, and Retry-After as seconds or an HTTP date
+  function parseRetryAfter(headers) {
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    const ms = parseFloat(headers.get('retry-after-ms'));
+    if (!isNaN(ms)) return ms;
+
+    const value = headers.get('retry-after');
+    if (!value) return null;
+
+    const seconds = parseFloat(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Whether an error is a 429 worth waiting out (an exhausted quota isn't)
+  function isRateLimitError(error) {
+    return !!error && error.status === 429 && error.code !== 'insufficient_quota';
+  }
+
+  // Public API
+  window.RateLimiter = {
+    create: createRateLimiter,
+    parseRetryAfter: parseRetryAfter,
+    isRateLimitError: isRateLimitError
+  };
+})();
@@ -0,0 +1,184 @@
+// Media resolver layer: turns an Instagram URL into downloadable media info
+(function() {
+  'use strict';
+
+  const INSTASAVE_ENDPOINT = 'https://api.instasave.website/media';
+
+  // Registered backends, tried in ascending priority order
+  const backends = [];
+
+  // ==================== REGISTRY ====================
+
+  // Register a resolver backend
+  // backend: { name, priority?, resolve(url, { signal }) -> Promise<media> }
+  function registerBackend(backend) {
+    if (!backend || !backend.name || typeof backend.resolve !== 'function') {
+      throw new Error('Resolver backend needs a name and a resolve(url) function');
+    }
+
+    unregisterBackend(backend.name);
+    backends.push({
+      name: backend.name,
+      priority: typeof backend.priority === 'number' ? backend.priority : 100,
+      resolve: backend.resolve
+    });
+    backends.sort((a, b) => a.priority - b.priority);
+  }
+
+  // Remove a backend by name
+  function unregisterBackend(name) {
+    const index = backends.findIndex(b => b.name === name);
+    if (index !== -1) {
+      backends.splice(index, 1);
+    }
+  }
+
+  // List registered backend names in the order they are tried
+  function listBackends() {
+    return backends.map(b => b.name);
+  }
+
+  // Resolve an Instagram URL, falling back through backends in order
+  // options.signal aborts the lookup; options.retryRateLimits: false leaves 429s to the caller
+  // Returns { videoUrl, thumbnailUrl, caption, author, provider }
+  async function resolve(url, options = {}) {
+    if (!url) {
+      throw new Error('Please provide a valid Instagram URL.');
+    }
+    if (backends.length === 0) {
+      throw new Error('No media resolver is configured');
+    }
+
+    const errors = [];
+
+    for (const backend of backends) {
+      try {
+        // Transient failures are retried before falling back to the next backend
+        const media = await RetryPolicy.run(() => backend.resolve(url, { signal: options.signal }), {
+          signal: options.signal,
+          retryRateLimits: options.retryRateLimits
+        });
+        if (media && media.videoUrl) {
+          return normalizeMedia(media, backend.name);
+        }
+        errors.push(new Error('No downloadable video found in the response.'));
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        console.warn(`Resolver "${backend.name}" failed:`, error);
+        errors.push(error);
+      }
+    }
+
+    // Surface the error from the preferred backend
+    throw errors[0];
+  }
+
+  // Fill in missing fields so callers always get the same shape
+  function normalizeMedia(media, provider) {
+    return {
+      videoUrl: media.videoUrl,
+      thumbnailUrl: media.thumbnailUrl || null,
+      caption: media.caption || null,
+      author: media.author || null,
+      provider: media.provider || provider
+    };
+  }
+
+  // ==================== INSTASAVE BACKEND ====================
+
+  // Create a backend that speaks the instasave.website protocol.
+  // Pass a different endpoint to point at a self-hosted stand-in.
+  function createInstasaveBackend(options = {}) {
+    const endpoint = options.endpoint || INSTASAVE_ENDPOINT;
+
+    return {
+      name: options.name || 'instasave',
+      priority: options.priority,
+      resolve: async function(url, options = {}) {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ 'url': url }),
+          signal: options.signal
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error('API error response:', errorText);
+          throw RetryPolicy.errorFromResponse(response, response.status === 429 ?
+            'The video resolver is rate limiting requests. Please try again in a moment.' :
+            'Failed to fetch video information. The Instagram URL may be invalid or the video may be private.');
+        }
+
+        const responseText = await response.text();
+        const media = parseInstasaveResponse(responseText);
+
+        if (!media.videoUrl) {
+          console.error('API response:', responseText);
+          throw new Error('Could not get video download URL from API response');
+        }
+
+        return media;
+      }
+    };
+  }
+
+  // Parse an instasave response, which is either JSON or an HTML/JS snippet
+  function parseInstasaveResponse(responseText) {
+    let data;
+
+    // Try parsing as JSON first
+    try {
+      data = JSON.parse(responseText);
+    } catch (e) {
+      return parseInstasaveHtml(responseText);
+    }
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    return {
+      videoUrl: data.download_url || null,
+      thumbnailUrl: data.thumbnail || null,
+      caption: data.caption || null,
+      author: data.author || data.username || null
+    };
+  }
+
+  // Strip the script wrapper around the download markup, then scrape it
+  function parseInstasaveHtml(responseText) {
+    const cleanedHtml = responseText
+      .replace(/loader\.style\.display="none";/, '')
+      .replace(/document\.getElementById\("div_download"\)\.innerHTML ="/, '')
+      .replace(/";document\.getElementById\("downloader"\)\.remove\(\);showAd\(\);/, '')
+      .replace(/\\/g, '');
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(cleanedHtml, 'text/html');
+
+    return {
+      videoUrl: doc.querySelector('a.abutton.is-success')?.getAttribute('href') || null,
+      thumbnailUrl: doc.querySelector('.download-items__thumb img')?.getAttribute('src') || null,
+      caption: null,
+      author: null
+    };
+  }
+
+  // Default backend
+  registerBackend(createInstasaveBackend({ priority: 10 }));
+
+  // Public API
+  window.MediaResolver = {
+    resolve: resolve,
+    registerBackend: registerBackend,
+    unregisterBackend: unregisterBackend,
+    listBackends: listBackends,
+    createInstasaveBackend: createInstasaveBackend,
+    parseInstasaveResponse: parseInstasaveResponse
+  };
+})();
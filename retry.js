@@ -0,0 +1,131 @@
+// Shared retry policy: exponential backoff with jitter for transient failures
+(function() {
+  'use strict';
+
+  // Used when Settings isn't available
+  const DEFAULTS = {
+    maxAttempts: 3,
+    maxDelay: 30 // seconds
+  };
+
+  // First wait before a retry, doubled on each attempt
+  const BASE_DELAY_MS = 1000;
+
+  // Statuses worth another try: timeouts, rate limits and server errors
+  const RETRIABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+  // Wait ms, giving up early (with an AbortError) if signal aborts
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      // One signal can cover many waits, so the listener goes once the wait is over
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Saved retry settings, with optional per-call overrides
+  function getOptions(overrides) {
+    const saved = window.Settings && Settings.getRetryOptions ? Settings.getRetryOptions() : {};
+    const options = Object.assign({}, DEFAULTS, saved);
+
+    Object.keys(overrides || {}).forEach(key => {
+      if (overrides[key] !== undefined) {
+        options[key] = overrides[key];
+      }
+    });
+    return options;
+  }
+
+  // Whether an error is transient. Errors can opt in or out with error.retriable;
+  // otherwise HTTP errors go by status and a fetch TypeError counts as a dropped
+  // connection. Errors with no status (bad URL, invalid key format) never retry.
+  function isRetriable(error) {
+    if (!error) return false;
+    if (typeof error.retriable === 'boolean') return error.retriable;
+
+    if (error.status) {
+      return RETRIABLE_STATUSES.includes(error.status) && error.code !== 'insufficient_quota';
+    }
+
+    return error.name === 'TypeError';
+  }
+
+  // Wait before the next attempt: exponential with "equal jitter", at least
+  // as long as the server's Retry-After. Returns null when the server asks
+  // for longer than maxDelay, since waiting that long isn't wanted.
+  function getDelay(attempt, error, options) {
+    const cap = options.maxDelay * 1000;
+    const exponential = Math.min(cap, BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    const delay = exponential / 2 + Math.random() * (exponential / 2);
+
+    if (error && error.retryAfter) {
+      return error.retryAfter > cap ? null : Math.max(delay, error.retryAfter);
+    }
+    return delay;
+  }
+
+  // Build an error from a failed fetch response, keeping what retries need
+  function errorFromResponse(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = window.RateLimiter ? RateLimiter.parseRetryAfter(response.headers) : null;
+    return error;
+  }
+
+  // Run fn(attempt) until it succeeds, the error isn't retriable, or attempts run out
+  // options: { maxAttempts, maxDelay, signal, shouldRetry(error), retryRateLimits, onRetry(error, attempt, delayMs) }
+  // An aborted signal stops further attempts; AbortErrors are never retried.
+  // retryRateLimits: false hands 429s straight back, for callers that pace
+  // themselves with a RateLimiter and back it off instead.
+  async function run(fn, options = {}) {
+    const policy = getOptions({ maxAttempts: options.maxAttempts, maxDelay: options.maxDelay });
+    const baseShouldRetry = options.shouldRetry || isRetriable;
+    const shouldRetry = options.retryRateLimits === false ?
+      error => error.status !== 429 && baseShouldRetry(error) :
+      baseShouldRetry;
+
+    for (let attempt = 1; ; attempt++) {
+      if (options.signal) {
+        options.signal.throwIfAborted();
+      }
+
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (attempt >= policy.maxAttempts || error.name === 'AbortError' || !shouldRetry(error)) {
+          throw error;
+        }
+
+        const delay = getDelay(attempt, error, policy);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`Attempt ${attempt} failed, retrying in ${Math.round(delay)}ms:`, error);
+        if (options.onRetry) {
+          options.onRetry(error, attempt, delay);
+        }
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  // Public API
+  window.RetryPolicy = {
+    run: run,
+    isRetriable: isRetriable,
+    getDelay: getDelay,
+    errorFromResponse: errorFromResponse
+  };
+})();
@@ -1,8 +1,94 @@
-// Settings modal management for OpenAI API key
+// Settings modal management for OpenAI API key profiles
 (function() {
   'use strict';
 
+  const PROFILES_KEY = 'api_profiles';
+  // Single key and endpoint saved before profiles existed; moved into the first profile
   const STORAGE_KEY = 'openai_api_key';
+  const MIGRATED_PROFILE_ID = 'default';
+  const AUDIO_EXTRACTION_KEY = 'audio_extraction';
+  const TRANSCRIPTION_OPTIONS_KEY = 'transcription_options';
+  const SUBTITLE_OPTIONS_KEY = 'subtitle_options';
+  const RETRY_OPTIONS_KEY = 'retry_options';
+  const FILENAME_OPTIONS_KEY = 'filename_options';
+  const COST_OPTIONS_KEY = 'cost_options';
+  const ENDPOINT_OPTIONS_KEY = 'endpoint_options';
+  const ENCRYPTION_OPTIONS_KEY = 'key_encryption';
+
+  // Key encryption defaults: off; once on, keys lock after 15 minutes without use
+  const ENCRYPTION_DEFAULTS = {
+    enabled: false,
+    salt: null,
+    iterations: null,
+    check: null,
+    autoLockMinutes: 15
+  };
+
+  // Encrypted with the passphrase key so a wrong passphrase can be told apart
+  const PASSPHRASE_CHECK = 'instascribe';
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  // Endpoint defaults: OpenAI itself, with a Bearer key that must look like an OpenAI key.
+  // authMode is 'bearer', 'header' (key sent as-is in authHeader) or 'none'.
+  const ENDPOINT_DEFAULTS = {
+    baseUrl: 'https://api.openai.com/v1',
+    authMode: 'bearer',
+    authHeader: '',
+    strictKeyValidation: true
+  };
+
+  // How long Test connection waits for an answer
+  const TEST_TIMEOUT_MS = 10000;
+
+  // Cost defaults: OpenAI list prices per audio minute, no budget cap, and single
+  // transcriptions show their estimate for confirmation before uploading
+  const COST_DEFAULTS = {
+    prices: {
+      'whisper-1': 0.006,
+      'gpt-4o-transcribe': 0.006,
+      'gpt-4o-mini-transcribe': 0.003
+    },
+    dailyBudget: null,
+    confirmSingle: true
+  };
+
+  // Filename defaults: the author and shortcode, so a saved file leads back to its reel
+  const FILENAME_DEFAULTS = {
+    template: '{author}_{shortcode}'
+  };
+
+  // Retry defaults: three tries in all, never waiting more than 30s between them
+  const RETRY_DEFAULTS = {
+    maxAttempts: 3,
+    maxDelay: 30
+  };
+
+  // Subtitle defaults: short two-line cues that fit a 9:16 reel
+  const SUBTITLE_DEFAULTS = {
+    wordTimestamps: true,
+    maxCharsPerLine: 32,
+    maxLines: 2,
+    maxCueDuration: 5
+  };
+
+  // Transcription defaults: the OpenAI API, no language hint, prompt or temperature is sent.
+  // engine is 'api' or 'local' (offline, in the browser, using localModel).
+  const TRANSCRIPTION_DEFAULTS = {
+    engine: 'api',
+    localModel: 'whisper-base',
+    model: 'whisper-1',
+    language: '',
+    prompt: '',
+    temperature: null
+  };
+
+  // Audio pre-pass defaults: fast decode path, mono, 64 kbps for the Opus recorder
+  const AUDIO_EXTRACTION_DEFAULTS = {
+    enabled: true,
+    method: 'fast',
+    bitrate: 64000,
+    mono: true
+  };
 
   // DOM elements (will be initialized after DOM loads)
   let settingsBtn;
@@ -11,7 +97,53 @@
   let apiKeyInput;
   let saveApiKeyBtn;
   let clearApiKeyBtn;
+  let testConnectionBtn;
   let apiKeyStatus;
+  let profileSwitcher;
+  let profileSelect;
+  let profileNameInput;
+  let newProfileBtn;
+  let deleteProfileBtn;
+  let baseUrlInput;
+  let authModeSelect;
+  let authHeaderGroup;
+  let authHeaderInput;
+  let strictKeyToggle;
+  let extractAudioToggle;
+  let extractMethodSelect;
+  let extractBitrateSelect;
+  let extractMonoToggle;
+  let engineSelect;
+  let localModelSelect;
+  let modelSelect;
+  let languageInput;
+  let promptInput;
+  let temperatureInput;
+  let wordTimestampsToggle;
+  let maxCharsInput;
+  let maxLinesInput;
+  let maxCueDurationInput;
+  let retryAttemptsInput;
+  let retryMaxDelayInput;
+  let filenameTemplateInput;
+  let filenamePreview;
+  let priceInputs;
+  let dailyBudgetInput;
+  let confirmEstimateToggle;
+  let usageSummary;
+  let passphraseInput;
+  let autoLockInput;
+  let encryptKeysBtn;
+  let unlockKeysBtn;
+  let lockKeysBtn;
+  let decryptKeysBtn;
+  let encryptionStatus;
+
+  // While unlocked: the passphrase-derived key and each profile's decrypted API key.
+  // Held in memory only, so closing or reloading the page locks again.
+  let vaultKey = null;
+  let unlockedKeys = {};
+  let lockTimer = null;
 
   // Initialize settings modal when DOM is ready
   function initSettings() {
@@ -22,10 +154,60 @@
     apiKeyInput = document.getElementById('apiKeyInput');
     saveApiKeyBtn = document.getElementById('saveApiKey');
     clearApiKeyBtn = document.getElementById('clearApiKey');
+    testConnectionBtn = document.getElementById('testConnection');
     apiKeyStatus = document.getElementById('apiKeyStatus');
+    profileSwitcher = document.getElementById('profileSwitcher');
+    profileSelect = document.getElementById('profileSelect');
+    profileNameInput = document.getElementById('profileNameInput');
+    newProfileBtn = document.getElementById('newProfile');
+    deleteProfileBtn = document.getElementById('deleteProfile');
+    baseUrlInput = document.getElementById('baseUrlInput');
+    authModeSelect = document.getElementById('authModeSelect');
+    authHeaderGroup = document.getElementById('authHeaderGroup');
+    authHeaderInput = document.getElementById('authHeaderInput');
+    strictKeyToggle = document.getElementById('strictKeyToggle');
+    extractAudioToggle = document.getElementById('extractAudioToggle');
+    extractMethodSelect = document.getElementById('extractMethodSelect');
+    extractBitrateSelect = document.getElementById('extractBitrateSelect');
+    extractMonoToggle = document.getElementById('extractMonoToggle');
+    engineSelect = document.getElementById('engineSelect');
+    localModelSelect = document.getElementById('localModelSelect');
+    modelSelect = document.getElementById('modelSelect');
+    languageInput = document.getElementById('languageInput');
+    promptInput = document.getElementById('promptInput');
+    temperatureInput = document.getElementById('temperatureInput');
+    wordTimestampsToggle = document.getElementById('wordTimestampsToggle');
+    maxCharsInput = document.getElementById('maxCharsInput');
+    maxLinesInput = document.getElementById('maxLinesInput');
+    maxCueDurationInput = document.getElementById('maxCueDurationInput');
+    retryAttemptsInput = document.getElementById('retryAttemptsInput');
+    retryMaxDelayInput = document.getElementById('retryMaxDelayInput');
+    filenameTemplateInput = document.getElementById('filenameTemplateInput');
+    filenamePreview = document.getElementById('filenamePreview');
+    priceInputs = Array.from(document.querySelectorAll('.price-input'));
+    dailyBudgetInput = document.getElementById('dailyBudgetInput');
+    confirmEstimateToggle = document.getElementById('confirmEstimateToggle');
+    usageSummary = document.getElementById('usageSummary');
+    passphraseInput = document.getElementById('passphraseInput');
+    autoLockInput = document.getElementById('autoLockInput');
+    encryptKeysBtn = document.getElementById('encryptKeysButton');
+    unlockKeysBtn = document.getElementById('unlockKeysButton');
+    lockKeysBtn = document.getElementById('lockKeysButton');
+    decryptKeysBtn = document.getElementById('decryptKeysButton');
+    encryptionStatus = document.getElementById('encryptionStatus');
 
     // Load existing API key if present
+    renderProfileSelects();
+    loadProfileName();
     loadApiKey();
+    loadEndpointOptions();
+    loadAudioExtractionOptions();
+    loadTranscriptionOptions();
+    loadSubtitleOptions();
+    loadRetryOptions();
+    loadFilenameOptions();
+    loadCostOptions();
+    loadEncryptionOptions();
 
     // Event listeners
     if (settingsBtn) {
@@ -55,6 +237,32 @@
       clearApiKeyBtn.addEventListener('click', clearApiKey);
     }
 
+    if (testConnectionBtn) {
+      testConnectionBtn.addEventListener('click', testConnection);
+    }
+
+    // The header switcher and the modal's profile list both change the active profile
+    [profileSwitcher, profileSelect].forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', function() {
+          setActiveProfile(el.value);
+        });
+      }
+    });
+
+    if (newProfileBtn) {
+      newProfileBtn.addEventListener('click', createProfile);
+    }
+
+    if (deleteProfileBtn) {
+      deleteProfileBtn.addEventListener('click', deleteProfile);
+    }
+
+    // Endpoint options are saved with the key; only the header name field reacts here
+    if (authModeSelect) {
+      authModeSelect.addEventListener('change', updateAuthHeaderVisibility);
+    }
+
     // Allow Enter key to save
     if (apiKeyInput) {
       apiKeyInput.addEventListener('keypress', function(e) {
@@ -64,6 +272,77 @@
       });
     }
 
+    // Audio pre-pass options save as soon as they change
+    [extractAudioToggle, extractMethodSelect, extractBitrateSelect, extractMonoToggle].forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', saveAudioExtractionOptions);
+      }
+    });
+
+    // Transcription options save as soon as they change
+    [engineSelect, localModelSelect, modelSelect, languageInput, promptInput, temperatureInput].forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', saveTranscriptionOptions);
+      }
+    });
+
+    // Subtitle options save as soon as they change
+    [wordTimestampsToggle, maxCharsInput, maxLinesInput, maxCueDurationInput].forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', saveSubtitleOptions);
+      }
+    });
+
+    // Retry options save as soon as they change
+    [retryAttemptsInput, retryMaxDelayInput].forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', saveRetryOptions);
+      }
+    });
+
+    // The filename template saves on change; the preview follows each keystroke
+    if (filenameTemplateInput) {
+      filenameTemplateInput.addEventListener('input', updateFilenamePreview);
+      filenameTemplateInput.addEventListener('change', saveFilenameOptions);
+    }
+
+    // Prices and budget save as soon as they change
+    priceInputs.concat([dailyBudgetInput, confirmEstimateToggle]).forEach(function(el) {
+      if (el) {
+        el.addEventListener('change', saveCostOptions);
+      }
+    });
+
+    if (encryptKeysBtn) {
+      encryptKeysBtn.addEventListener('click', enableEncryption);
+    }
+    if (unlockKeysBtn) {
+      unlockKeysBtn.addEventListener('click', unlockKeys);
+    }
+    if (lockKeysBtn) {
+      lockKeysBtn.addEventListener('click', lockKeys);
+    }
+    if (decryptKeysBtn) {
+      decryptKeysBtn.addEventListener('click', disableEncryption);
+    }
+
+    // Enter in the passphrase field unlocks, or encrypts when encryption is off
+    if (passphraseInput) {
+      passphraseInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          if (isEncrypted()) {
+            unlockKeys();
+          } else {
+            enableEncryption();
+          }
+        }
+      });
+    }
+
+    if (autoLockInput) {
+      autoLockInput.addEventListener('change', saveEncryptionOptions);
+    }
+
     // Update status indicator
     updateApiKeyStatus();
   }
@@ -72,7 +351,14 @@
   function openSettingsModal() {
     if (settingsModal) {
       settingsModal.style.display = 'flex';
-      if (apiKeyInput) {
+      if (window.UsageLedger) {
+        UsageLedger.renderSummary(usageSummary);
+      }
+      if (isKeyLocked() && passphraseInput) {
+        // Locked keys are what usually brings people here; go straight to unlocking
+        passphraseInput.scrollIntoView({ block: 'center' });
+        passphraseInput.focus();
+      } else if (apiKeyInput) {
         apiKeyInput.focus();
       }
     }
@@ -85,35 +371,62 @@
     }
   }
 
-  // Load API key from localStorage
+  // Fill the key field from the active profile
   function loadApiKey() {
-    try {
-      const apiKey = localStorage.getItem(STORAGE_KEY);
-      if (apiKey && apiKeyInput) {
-        apiKeyInput.value = apiKey;
-      }
-    } catch (error) {
-      console.error('Error loading API key:', error);
+    if (apiKeyInput) {
+      apiKeyInput.value = getApiKey();
+      apiKeyInput.placeholder = isKeyLocked() ? 'Locked - unlock under Key Encryption' : 'sk-...';
     }
   }
 
-  // Save API key to localStorage
-  function saveApiKey() {
+  // Save the active profile's name, API key and endpoint options
+  async function saveApiKey() {
     const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
+    const endpoint = readEndpointForm();
+    const name = profileNameInput ? profileNameInput.value.trim() : '';
+
+    if (profileNameInput && !name) {
+      showModalMessage('error', 'Please enter a profile name');
+      return;
+    }
+
+    if (isKeyLocked()) {
+      showModalMessage('error', 'Unlock your keys under Key Encryption first');
+      return;
+    }
+
+    const endpointError = validateEndpointOptions(endpoint);
+    if (endpointError) {
+      showModalMessage('error', endpointError);
+      return;
+    }
 
-    if (!apiKey) {
+    if (!apiKey && endpoint.authMode !== 'none') {
       showModalMessage('error', 'Please enter an API key');
       return;
     }
 
-    if (!validateApiKey(apiKey)) {
-      showModalMessage('error', 'Invalid API key format. OpenAI API keys should start with "sk-" and be at least 20 characters');
+    if (!validateApiKey(apiKey, endpoint)) {
+      showModalMessage('error', endpoint.strictKeyValidation ?
+        'Invalid API key format. OpenAI API keys should start with "sk-" and be at least 20 characters' :
+        'Invalid API key. Keys can\'t contain spaces or line breaks');
       return;
     }
 
     try {
-      localStorage.setItem(STORAGE_KEY, apiKey);
-      showModalMessage('success', 'API key saved successfully');
+      const profileId = getActiveProfile().id;
+      const changes = { apiKey: apiKey, endpoint: endpoint };
+      if (name) {
+        changes.name = name;
+      }
+      if (isEncrypted()) {
+        changes.apiKey = '';
+        changes.encryptedKey = apiKey ? await KeyVault.encrypt(apiKey, vaultKey) : null;
+        unlockedKeys[profileId] = apiKey;
+      }
+      updateProfile(profileId, changes);
+      renderProfileSelects();
+      showModalMessage('success', apiKey ? 'API key saved successfully' : 'Endpoint saved successfully');
       updateApiKeyStatus();
       // Close modal after a brief delay so user sees success message
       setTimeout(closeSettingsModal, 800);
@@ -123,10 +436,12 @@
     }
   }
 
-  // Clear API key from localStorage
+  // Clear the active profile's API key
   function clearApiKey() {
     try {
-      localStorage.removeItem(STORAGE_KEY);
+      const profileId = getActiveProfile().id;
+      updateProfile(profileId, { apiKey: '', encryptedKey: null });
+      delete unlockedKeys[profileId];
       if (apiKeyInput) {
         apiKeyInput.value = '';
       }
@@ -138,8 +453,39 @@
     }
   }
 
-  // Validate API key format
-  function validateApiKey(key) {
+  // Clear a profile's API key after the endpoint rejected it, so it isn't sent again
+  // (defaults to the active profile)
+  function clearProfileKey(profileId) {
+    try {
+      const profile = getProfile(profileId);
+      updateProfile(profile.id, { apiKey: '', encryptedKey: null });
+      delete unlockedKeys[profile.id];
+      if (profile.id === getActiveProfile().id) {
+        loadApiKey();
+      }
+      updateApiKeyStatus();
+    } catch (error) {
+      console.error('Error clearing rejected API key:', error);
+    }
+  }
+
+  // Validate API key format for an endpoint (defaults to the saved one)
+  function validateApiKey(key, endpoint) {
+    const options = endpoint || getEndpointOptions();
+
+    // An endpoint without auth needs no key
+    if (options.authMode === 'none') {
+      return true;
+    }
+    if (!key) {
+      return false;
+    }
+
+    // Self-hosted servers use their own key formats; it only has to fit in a header
+    if (!options.strictKeyValidation) {
+      return key.length <= 4096 && !/\s/.test(key);
+    }
+
     // OpenAI API keys start with "sk-" or "sk-proj-" and are at least 20 characters
     if (!key.startsWith('sk-')) {
       return false;
@@ -154,12 +500,819 @@
     return true;
   }
 
+  // ==================== PROFILES ====================
+
+  // A profile with no key; endpoint, model and language start from another profile if given
+  function newProfile(name, from) {
+    return {
+      id: `profile_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+      name: name,
+      apiKey: '',
+      endpoint: Object.assign({}, ENDPOINT_DEFAULTS, from && from.endpoint),
+      model: from ? from.model : TRANSCRIPTION_DEFAULTS.model,
+      language: from ? from.language : TRANSCRIPTION_DEFAULTS.language
+    };
+  }
+
+  // Saved profiles as { activeId, profiles: [...] }, creating the first one if needed
+  function loadProfiles() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+      if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+    return migrateProfiles();
+  }
+
+  // Build the first profile from the single key, endpoint, model and language
+  // saved before profiles existed. Its id is fixed, so if saving fails (storage
+  // full, private mode) every call still agrees on it.
+  function migrateProfiles() {
+    const profile = Object.assign(newProfile('Default'), { id: MIGRATED_PROFILE_ID });
+    try {
+      const endpoint = JSON.parse(localStorage.getItem(ENDPOINT_OPTIONS_KEY) || '{}');
+      const transcription = JSON.parse(localStorage.getItem(TRANSCRIPTION_OPTIONS_KEY) || '{}');
+      profile.apiKey = localStorage.getItem(STORAGE_KEY) || '';
+      profile.endpoint = Object.assign({}, ENDPOINT_DEFAULTS, endpoint);
+      profile.model = transcription.model || TRANSCRIPTION_DEFAULTS.model;
+      profile.language = transcription.language || TRANSCRIPTION_DEFAULTS.language;
+    } catch (error) {
+      console.error('Error migrating API key to a profile:', error);
+    }
+
+    const state = { activeId: profile.id, profiles: [profile] };
+    try {
+      saveProfiles(state);
+      localStorage.removeItem(STORAGE_KEY);
+      localStorage.removeItem(ENDPOINT_OPTIONS_KEY);
+    } catch (error) {
+      console.error('Error saving migrated profile:', error);
+    }
+    return state;
+  }
+
+  function saveProfiles(state) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+  }
+
+  // A profile by id, falling back to the active one (e.g. after it was deleted)
+  function getProfile(profileId) {
+    const state = loadProfiles();
+    return state.profiles.find(p => p.id === profileId) ||
+           state.profiles.find(p => p.id === state.activeId) ||
+           state.profiles[0];
+  }
+
+  function getActiveProfile() {
+    return getProfile(null);
+  }
+
+  // Ids and names of all profiles, for pickers
+  function getProfiles() {
+    return loadProfiles().profiles.map(p => ({ id: p.id, name: p.name }));
+  }
+
+  // Merge changes into a saved profile
+  function updateProfile(profileId, changes) {
+    const state = loadProfiles();
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (profile) {
+      Object.assign(profile, changes);
+      saveProfiles(state);
+    }
+  }
+
+  // Switch profiles and show the new one's settings everywhere
+  function setActiveProfile(profileId) {
+    const state = loadProfiles();
+    if (!state.profiles.some(p => p.id === profileId)) return;
+
+    try {
+      state.activeId = profileId;
+      saveProfiles(state);
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      showModalMessage('error', 'Failed to switch profile');
+      return;
+    }
+
+    renderProfileSelects();
+    loadProfileName();
+    loadApiKey();
+    loadEndpointOptions();
+    loadTranscriptionOptions();
+    updateApiKeyStatus();
+  }
+
+  // Add a profile like the active one, minus the key, and switch to it
+  function createProfile() {
+    const state = loadProfiles();
+    const profile = newProfile(`Profile ${state.profiles.length + 1}`, getActiveProfile());
+    state.profiles.push(profile);
+
+    try {
+      saveProfiles(state);
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      showModalMessage('error', 'Failed to create profile');
+      return;
+    }
+
+    setActiveProfile(profile.id);
+    showModalMessage('info', 'Profile created. Name it, enter its API key and Save');
+    if (profileNameInput) {
+      profileNameInput.focus();
+      profileNameInput.select();
+    }
+  }
+
+  // Delete the active profile and its key; the last one can't be deleted
+  function deleteProfile() {
+    const state = loadProfiles();
+    const profile = getActiveProfile();
+
+    if (state.profiles.length < 2) {
+      showModalMessage('error', 'You need at least one profile');
+      return;
+    }
+    if (!confirm(`Delete profile "${profile.name}" and its API key?`)) return;
+
+    state.profiles = state.profiles.filter(p => p.id !== profile.id);
+    state.activeId = state.profiles[0].id;
+    try {
+      saveProfiles(state);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      showModalMessage('error', 'Failed to delete profile');
+      return;
+    }
+
+    setActiveProfile(state.activeId);
+    showModalMessage('success', `Profile "${profile.name}" deleted`);
+  }
+
+  // Fill the header switcher and the modal's profile list
+  function renderProfileSelects() {
+    const state = loadProfiles();
+    [profileSwitcher, profileSelect].forEach(function(select) {
+      if (!select) return;
+      select.innerHTML = '';
+      state.profiles.forEach(function(profile) {
+        select.appendChild(new Option(profile.name, profile.id));
+      });
+      select.value = getActiveProfile().id;
+    });
+  }
+
+  function loadProfileName() {
+    if (profileNameInput) {
+      profileNameInput.value = getActiveProfile().name;
+    }
+  }
+
+  // ==================== KEY ENCRYPTION ====================
+
+  // Get key encryption options, falling back to defaults
+  function getEncryptionOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ENCRYPTION_OPTIONS_KEY) || '{}');
+      return Object.assign({}, ENCRYPTION_DEFAULTS, saved);
+    } catch (error) {
+      console.error('Error loading key encryption options:', error);
+      return Object.assign({}, ENCRYPTION_DEFAULTS);
+    }
+  }
+
+  function saveEncryptionState(options) {
+    localStorage.setItem(ENCRYPTION_OPTIONS_KEY, JSON.stringify(options));
+  }
+
+  // Fill the form and show the buttons that apply to the current state
+  function loadEncryptionOptions() {
+    const options = getEncryptionOptions();
+    const locked = isKeyLocked();
+
+    if (autoLockInput) autoLockInput.value = options.autoLockMinutes;
+    if (encryptKeysBtn) encryptKeysBtn.style.display = options.enabled ? 'none' : '';
+    if (unlockKeysBtn) unlockKeysBtn.style.display = locked ? '' : 'none';
+    if (lockKeysBtn) lockKeysBtn.style.display = options.enabled && !locked ? '' : 'none';
+    if (decryptKeysBtn) decryptKeysBtn.style.display = options.enabled && !locked ? '' : 'none';
+    if (passphraseInput) passphraseInput.disabled = options.enabled && !locked;
+
+    if (encryptionStatus) {
+      encryptionStatus.textContent = !options.enabled ?
+        'Keys are stored in plain text in this browser. Encrypt them with a passphrase so they can\'t be read at rest.' :
+        locked ?
+          'Keys are encrypted. Enter your passphrase to unlock them for this session.' :
+          `Unlocked. Keys lock again after ${options.autoLockMinutes} minutes without use, or when this page is closed.`;
+    }
+  }
+
+  // Save the auto-lock timeout from the settings form
+  function saveEncryptionOptions() {
+    const options = getEncryptionOptions();
+    const minutes = parseInt(autoLockInput.value, 10);
+    options.autoLockMinutes = isNaN(minutes) ? ENCRYPTION_DEFAULTS.autoLockMinutes : Math.max(1, Math.min(240, minutes));
+
+    try {
+      saveEncryptionState(options);
+      loadEncryptionOptions();
+      touchVault();
+    } catch (error) {
+      console.error('Error saving key encryption options:', error);
+      showModalMessage('error', 'Failed to save key encryption settings');
+    }
+  }
+
+  // Whether keys are stored encrypted
+  function isEncrypted() {
+    return getEncryptionOptions().enabled;
+  }
+
+  // Whether keys are encrypted and haven't been unlocked this session
+  function isKeyLocked() {
+    return isEncrypted() && !vaultKey;
+  }
+
+  // Restart the auto-lock countdown; called whenever a key is used
+  function touchVault() {
+    if (!vaultKey) return;
+    clearTimeout(lockTimer);
+    lockTimer = setTimeout(lockKeys, getEncryptionOptions().autoLockMinutes * 60000);
+  }
+
+  // Read the passphrase field, or show why it can't be used
+  function readPassphrase() {
+    const passphrase = passphraseInput ? passphraseInput.value : '';
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      showModalMessage('error', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return null;
+    }
+    return passphrase;
+  }
+
+  // Encrypt every profile's key with a new passphrase
+  async function enableEncryption() {
+    const passphrase = readPassphrase();
+    if (!passphrase) return;
+
+    try {
+      const options = getEncryptionOptions();
+      options.salt = KeyVault.newSalt();
+      options.iterations = KeyVault.ITERATIONS;
+      const key = await KeyVault.deriveKey(passphrase, options.salt, options.iterations);
+      options.check = await KeyVault.encrypt(PASSPHRASE_CHECK, key);
+      options.enabled = true;
+
+      const state = loadProfiles();
+      const keys = {};
+      for (const profile of state.profiles) {
+        keys[profile.id] = profile.apiKey || '';
+        profile.encryptedKey = profile.apiKey ? await KeyVault.encrypt(profile.apiKey, key) : null;
+        profile.apiKey = '';
+      }
+
+      // Encryption is switched on before the plain keys are blanked, and back off if
+      // blanking them fails, so no write leaves keys that can't be read
+      const previous = getEncryptionOptions();
+      saveEncryptionState(options);
+      try {
+        saveProfiles(state);
+      } catch (error) {
+        saveEncryptionState(previous);
+        throw error;
+      }
+      vaultKey = key;
+      unlockedKeys = keys;
+      touchVault();
+    } catch (error) {
+      console.error('Error encrypting API keys:', error);
+      showModalMessage('error', 'Failed to encrypt API keys');
+      return;
+    }
+
+    passphraseInput.value = '';
+    loadEncryptionOptions();
+    showModalMessage('success', 'API keys encrypted. You\'ll be asked for the passphrase once per session');
+  }
+
+  // Decrypt every profile's key into memory
+  async function unlockKeys() {
+    const passphrase = readPassphrase();
+    if (!passphrase) return;
+
+    const options = getEncryptionOptions();
+    let key;
+    try {
+      key = await KeyVault.deriveKey(passphrase, options.salt, options.iterations);
+      await KeyVault.decrypt(options.check, key);
+    } catch (error) {
+      showModalMessage('error', 'Wrong passphrase');
+      return;
+    }
+
+    try {
+      const keys = {};
+      for (const profile of loadProfiles().profiles) {
+        keys[profile.id] = profile.encryptedKey ? await KeyVault.decrypt(profile.encryptedKey, key) : '';
+      }
+      vaultKey = key;
+      unlockedKeys = keys;
+      touchVault();
+    } catch (error) {
+      console.error('Error decrypting API keys:', error);
+      showModalMessage('error', 'Failed to decrypt API keys');
+      return;
+    }
+
+    passphraseInput.value = '';
+    loadEncryptionOptions();
+    loadApiKey();
+    updateApiKeyStatus();
+    showModalMessage('success', 'API keys unlocked');
+  }
+
+  // Forget the decrypted keys until the passphrase is entered again
+  function lockKeys() {
+    vaultKey = null;
+    unlockedKeys = {};
+    clearTimeout(lockTimer);
+
+    loadEncryptionOptions();
+    loadApiKey();
+    updateApiKeyStatus();
+  }
+
+  // Store keys in plain text again; only possible while unlocked
+  function disableEncryption() {
+    if (isKeyLocked()) return;
+    if (!confirm('Store your API keys unencrypted again?')) return;
+
+    try {
+      const state = loadProfiles();
+      state.profiles.forEach(function(profile) {
+        profile.apiKey = unlockedKeys[profile.id] || '';
+        delete profile.encryptedKey;
+      });
+      saveProfiles(state);
+      saveEncryptionState(Object.assign({}, ENCRYPTION_DEFAULTS, {
+        autoLockMinutes: getEncryptionOptions().autoLockMinutes
+      }));
+    } catch (error) {
+      console.error('Error decrypting API keys:', error);
+      showModalMessage('error', 'Failed to turn off key encryption');
+      return;
+    }
+
+    lockKeys();
+    showModalMessage('success', 'Key encryption turned off');
+  }
+
+  // ==================== ENDPOINT OPTIONS ====================
+
+  // Get a profile's endpoint options (defaults to the active profile)
+  function getEndpointOptions(profileId) {
+    return Object.assign({}, ENDPOINT_DEFAULTS, getProfile(profileId).endpoint);
+  }
+
+  // Fill the settings form from saved options
+  function loadEndpointOptions() {
+    const options = getEndpointOptions();
+    if (baseUrlInput) baseUrlInput.value = options.baseUrl;
+    if (authModeSelect) authModeSelect.value = options.authMode;
+    if (authHeaderInput) authHeaderInput.value = options.authHeader;
+    if (strictKeyToggle) strictKeyToggle.checked = options.strictKeyValidation;
+    updateAuthHeaderVisibility();
+  }
+
+  // Read endpoint options from the form without saving them
+  function readEndpointForm() {
+    const options = getEndpointOptions();
+    if (baseUrlInput) options.baseUrl = baseUrlInput.value.trim().replace(/\/+$/, '') || ENDPOINT_DEFAULTS.baseUrl;
+    if (authModeSelect) options.authMode = authModeSelect.value;
+    if (authHeaderInput) options.authHeader = authHeaderInput.value.trim();
+    if (strictKeyToggle) options.strictKeyValidation = strictKeyToggle.checked;
+    return options;
+  }
+
+  // Problem with endpoint options as a message, or null if they're usable
+  function validateEndpointOptions(options) {
+    let url;
+    try {
+      url = new URL(options.baseUrl);
+    } catch (error) {
+      return 'Base URL must be a full URL, e.g. "http://localhost:8000/v1"';
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return 'Base URL must start with http:// or https://';
+    }
+    if (options.authMode === 'header' && !/^[A-Za-z0-9-]+$/.test(options.authHeader)) {
+      return 'Enter a header name such as "X-API-Key" (letters, digits and hyphens)';
+    }
+    return null;
+  }
+
+  // The header name field only applies to custom header auth
+  function updateAuthHeaderVisibility() {
+    if (authHeaderGroup && authModeSelect) {
+      authHeaderGroup.style.display = authModeSelect.value === 'header' ? '' : 'none';
+    }
+  }
+
+  // Full URL for an API path such as "audio/transcriptions"
+  function getApiUrl(path, endpoint) {
+    const options = endpoint || getEndpointOptions();
+    return `${options.baseUrl}/${path}`;
+  }
+
+  // Auth headers for a request to the endpoint
+  function getAuthHeaders(apiKey, endpoint) {
+    const options = endpoint || getEndpointOptions();
+    const headers = {};
+    if (options.authMode === 'bearer') {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    } else if (options.authMode === 'header') {
+      headers[options.authHeader] = apiKey;
+    }
+    return headers;
+  }
+
+  // Check the endpoint and key in the form (before they're saved) by probing the transcription route
+  async function testConnection() {
+    const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
+    const endpoint = readEndpointForm();
+
+    const endpointError = validateEndpointOptions(endpoint);
+    if (endpointError) {
+      showModalMessage('error', endpointError);
+      return;
+    }
+
+    const originalHTML = testConnectionBtn.innerHTML;
+    testConnectionBtn.disabled = true;
+    testConnectionBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Testing...';
+
+    try {
+      // An empty POST to the transcription route: nothing is transcribed or billed, but
+      // a working endpoint checks the key and then complains about the missing file
+      const url = getApiUrl('audio/transcriptions', endpoint);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: getAuthHeaders(apiKey, endpoint),
+        body: new FormData(),
+        signal: AbortSignal.timeout(TEST_TIMEOUT_MS)
+      });
+
+      const host = new URL(endpoint.baseUrl).host;
+      if (response.ok || response.status === 400 || response.status === 415 || response.status === 422) {
+        showModalMessage('success', `Connected to ${host}; it accepts transcription requests`);
+      } else if (response.status === 401 || response.status === 403) {
+        showModalMessage('error', `The endpoint rejected the key (HTTP ${response.status})`);
+      } else if (response.status === 404 || response.status === 405) {
+        showModalMessage('error', `${host} answered, but has no transcription route at ${url} (HTTP ${response.status}). Check the base URL, e.g. a missing /v1`);
+      } else {
+        showModalMessage('error', `The endpoint answered with HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Connection test failed:', error);
+      if (error.name === 'TimeoutError') {
+        showModalMessage('error', `No answer from the endpoint after ${TEST_TIMEOUT_MS / 1000}s`);
+      } else {
+        showModalMessage('error', 'Could not reach the endpoint. Check the URL and that the server allows requests from this page (CORS)');
+      }
+    } finally {
+      testConnectionBtn.disabled = false;
+      testConnectionBtn.innerHTML = originalHTML;
+    }
+  }
+
+  // ==================== AUDIO PRE-PASS OPTIONS ====================
+
+  // Get audio pre-pass options, falling back to defaults
+  function getAudioExtractionOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(AUDIO_EXTRACTION_KEY) || '{}');
+      return Object.assign({}, AUDIO_EXTRACTION_DEFAULTS, saved);
+    } catch (error) {
+      console.error('Error loading audio extraction options:', error);
+      return Object.assign({}, AUDIO_EXTRACTION_DEFAULTS);
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadAudioExtractionOptions() {
+    const options = getAudioExtractionOptions();
+    if (extractAudioToggle) extractAudioToggle.checked = options.enabled;
+    if (extractMethodSelect) extractMethodSelect.value = options.method;
+    if (extractBitrateSelect) extractBitrateSelect.value = String(options.bitrate);
+    if (extractMonoToggle) extractMonoToggle.checked = options.mono;
+    updateBitrateAvailability();
+  }
+
+  // Bitrate only applies to the real-time recorder; the fast path writes uncompressed WAV
+  function updateBitrateAvailability() {
+    if (extractBitrateSelect && extractMethodSelect) {
+      extractBitrateSelect.disabled = extractMethodSelect.value !== 'realtime';
+    }
+  }
+
+  // Save audio pre-pass options from the settings form
+  function saveAudioExtractionOptions() {
+    const options = getAudioExtractionOptions();
+    if (extractAudioToggle) options.enabled = extractAudioToggle.checked;
+    if (extractMethodSelect) options.method = extractMethodSelect.value;
+    if (extractBitrateSelect) options.bitrate = parseInt(extractBitrateSelect.value, 10);
+    if (extractMonoToggle) options.mono = extractMonoToggle.checked;
+    updateBitrateAvailability();
+
+    try {
+      localStorage.setItem(AUDIO_EXTRACTION_KEY, JSON.stringify(options));
+    } catch (error) {
+      console.error('Error saving audio extraction options:', error);
+      showModalMessage('error', 'Failed to save audio settings');
+    }
+  }
+
+  // ==================== TRANSCRIPTION OPTIONS ====================
+
+  // Get transcription options, falling back to defaults.
+  // Model and language come from the profile (defaults to the active one).
+  function getTranscriptionOptions(profileId) {
+    const profile = getProfile(profileId);
+    const fromProfile = {
+      model: profile.model || TRANSCRIPTION_DEFAULTS.model,
+      language: profile.language || TRANSCRIPTION_DEFAULTS.language
+    };
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(TRANSCRIPTION_OPTIONS_KEY) || '{}');
+      return Object.assign({}, TRANSCRIPTION_DEFAULTS, saved, fromProfile);
+    } catch (error) {
+      console.error('Error loading transcription options:', error);
+      return Object.assign({}, TRANSCRIPTION_DEFAULTS, fromProfile);
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadTranscriptionOptions() {
+    const options = getTranscriptionOptions();
+    if (engineSelect) engineSelect.value = options.engine;
+    if (localModelSelect) localModelSelect.value = options.localModel;
+    if (modelSelect) modelSelect.value = options.model;
+    if (languageInput) languageInput.value = options.language;
+    if (promptInput) promptInput.value = options.prompt;
+    if (temperatureInput) temperatureInput.value = options.temperature === null ? '' : options.temperature;
+  }
+
+  // Save transcription options from the settings form
+  function saveTranscriptionOptions() {
+    const options = getTranscriptionOptions();
+    if (engineSelect) options.engine = engineSelect.value;
+    if (localModelSelect) options.localModel = localModelSelect.value;
+    if (modelSelect) options.model = modelSelect.value;
+    if (promptInput) options.prompt = promptInput.value.trim();
+
+    if (languageInput) {
+      const language = languageInput.value.trim().toLowerCase();
+      if (language && !/^[a-z]{2}$/.test(language)) {
+        showModalMessage('error', 'Language must be a two-letter ISO-639-1 code, e.g. "en" or "es"');
+        return;
+      }
+      options.language = language;
+    }
+
+    if (temperatureInput) {
+      const temperature = parseFloat(temperatureInput.value);
+      options.temperature = isNaN(temperature) ? null : Math.max(0, Math.min(1, temperature));
+    }
+
+    try {
+      // Model and language belong to the active profile
+      updateProfile(getActiveProfile().id, { model: options.model, language: options.language });
+      delete options.model;
+      delete options.language;
+      localStorage.setItem(TRANSCRIPTION_OPTIONS_KEY, JSON.stringify(options));
+      updateApiKeyStatus();
+    } catch (error) {
+      console.error('Error saving transcription options:', error);
+      showModalMessage('error', 'Failed to save transcription settings');
+    }
+  }
+
+  // ==================== SUBTITLE OPTIONS ====================
+
+  // Get subtitle options, falling back to defaults
+  function getSubtitleOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SUBTITLE_OPTIONS_KEY) || '{}');
+      return Object.assign({}, SUBTITLE_DEFAULTS, saved);
+    } catch (error) {
+      console.error('Error loading subtitle options:', error);
+      return Object.assign({}, SUBTITLE_DEFAULTS);
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadSubtitleOptions() {
+    const options = getSubtitleOptions();
+    if (wordTimestampsToggle) wordTimestampsToggle.checked = options.wordTimestamps;
+    if (maxCharsInput) maxCharsInput.value = options.maxCharsPerLine;
+    if (maxLinesInput) maxLinesInput.value = options.maxLines;
+    if (maxCueDurationInput) maxCueDurationInput.value = options.maxCueDuration;
+  }
+
+  // Save subtitle options from the settings form, keeping limits in a sane range
+  function saveSubtitleOptions() {
+    const options = getSubtitleOptions();
+    const readNumber = (input, fallback, min, max) => {
+      const value = parseFloat(input.value);
+      return isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+    };
+
+    if (wordTimestampsToggle) options.wordTimestamps = wordTimestampsToggle.checked;
+    if (maxCharsInput) options.maxCharsPerLine = Math.round(readNumber(maxCharsInput, SUBTITLE_DEFAULTS.maxCharsPerLine, 10, 80));
+    if (maxLinesInput) options.maxLines = Math.round(readNumber(maxLinesInput, SUBTITLE_DEFAULTS.maxLines, 1, 4));
+    if (maxCueDurationInput) options.maxCueDuration = readNumber(maxCueDurationInput, SUBTITLE_DEFAULTS.maxCueDuration, 1, 15);
+
+    try {
+      localStorage.setItem(SUBTITLE_OPTIONS_KEY, JSON.stringify(options));
+      loadSubtitleOptions();
+    } catch (error) {
+      console.error('Error saving subtitle options:', error);
+      showModalMessage('error', 'Failed to save subtitle settings');
+    }
+  }
+
+  // ==================== RETRY OPTIONS ====================
+
+  // Get retry options, falling back to defaults
+  function getRetryOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(RETRY_OPTIONS_KEY) || '{}');
+      return Object.assign({}, RETRY_DEFAULTS, saved);
+    } catch (error) {
+      console.error('Error loading retry options:', error);
+      return Object.assign({}, RETRY_DEFAULTS);
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadRetryOptions() {
+    const options = getRetryOptions();
+    if (retryAttemptsInput) retryAttemptsInput.value = options.maxAttempts;
+    if (retryMaxDelayInput) retryMaxDelayInput.value = options.maxDelay;
+  }
+
+  // Save retry options from the settings form
+  function saveRetryOptions() {
+    const options = getRetryOptions();
+    const readNumber = (input, fallback, min, max) => {
+      const value = parseFloat(input.value);
+      return isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+    };
+
+    if (retryAttemptsInput) options.maxAttempts = Math.round(readNumber(retryAttemptsInput, RETRY_DEFAULTS.maxAttempts, 1, 10));
+    if (retryMaxDelayInput) options.maxDelay = readNumber(retryMaxDelayInput, RETRY_DEFAULTS.maxDelay, 1, 300);
+
+    try {
+      localStorage.setItem(RETRY_OPTIONS_KEY, JSON.stringify(options));
+      loadRetryOptions();
+    } catch (error) {
+      console.error('Error saving retry options:', error);
+      showModalMessage('error', 'Failed to save retry settings');
+    }
+  }
+
+  // ==================== FILENAME OPTIONS ====================
+
+  // Get the output filename template, falling back to the default
+  function getFilenameOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(FILENAME_OPTIONS_KEY) || '{}');
+      return Object.assign({}, FILENAME_DEFAULTS, saved);
+    } catch (error) {
+      console.error('Error loading filename options:', error);
+      return Object.assign({}, FILENAME_DEFAULTS);
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadFilenameOptions() {
+    const options = getFilenameOptions();
+    if (filenameTemplateInput) filenameTemplateInput.value = options.template;
+    updateFilenamePreview();
+  }
+
+  // Save the filename template from the settings form; an empty one goes back to the default
+  function saveFilenameOptions() {
+    if (!filenameTemplateInput) return;
+
+    const template = filenameTemplateInput.value.trim() || FILENAME_DEFAULTS.template;
+    const unknown = OutputFilename.findUnknownTokens(template);
+    if (unknown.length > 0) {
+      showModalMessage('error', `Unknown filename token: {${unknown[0]}}. Use ${OutputFilename.TOKENS.map(t => `{${t}}`).join(', ')}`);
+      return;
+    }
+
+    try {
+      localStorage.setItem(FILENAME_OPTIONS_KEY, JSON.stringify({ template: template }));
+      loadFilenameOptions();
+    } catch (error) {
+      console.error('Error saving filename options:', error);
+      showModalMessage('error', 'Failed to save filename settings');
+    }
+  }
+
+  // Show what the template in the form gives for a sample reel
+  function updateFilenamePreview() {
+    if (!filenamePreview || !filenameTemplateInput) return;
+
+    const template = filenameTemplateInput.value.trim() || FILENAME_DEFAULTS.template;
+    const unknown = OutputFilename.findUnknownTokens(template);
+    filenamePreview.textContent = unknown.length > 0 ?
+      `Unknown token {${unknown[0]}}` :
+      `e.g. ${OutputFilename.build({
+        shortcode: 'C3xYz1AbCdE',
+        author: 'natgeo',
+        date: Date.now(),
+        index: '01',
+        language: 'english'
+      }, template)}.txt`;
+  }
+
+  // ==================== COST OPTIONS ====================
+
+  // Get per-model prices and the daily budget, falling back to defaults
+  function getCostOptions() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(COST_OPTIONS_KEY) || '{}');
+      return {
+        prices: Object.assign({}, COST_DEFAULTS.prices, saved.prices),
+        dailyBudget: typeof saved.dailyBudget === 'number' ? saved.dailyBudget : COST_DEFAULTS.dailyBudget,
+        confirmSingle: typeof saved.confirmSingle === 'boolean' ? saved.confirmSingle : COST_DEFAULTS.confirmSingle
+      };
+    } catch (error) {
+      console.error('Error loading cost options:', error);
+      return Object.assign({}, COST_DEFAULTS, { prices: Object.assign({}, COST_DEFAULTS.prices) });
+    }
+  }
+
+  // Fill the settings form from saved options
+  function loadCostOptions() {
+    const options = getCostOptions();
+    priceInputs.forEach(function(input) {
+      input.value = options.prices[input.dataset.model];
+    });
+    if (dailyBudgetInput) {
+      dailyBudgetInput.value = options.dailyBudget === null ? '' : options.dailyBudget;
+    }
+    if (confirmEstimateToggle) confirmEstimateToggle.checked = options.confirmSingle;
+  }
+
+  // Save prices, budget and confirmation from the settings form; a blank budget means no cap
+  function saveCostOptions() {
+    const options = getCostOptions();
+
+    priceInputs.forEach(function(input) {
+      const price = parseFloat(input.value);
+      if (!isNaN(price) && price >= 0) {
+        options.prices[input.dataset.model] = price;
+      }
+    });
+
+    if (dailyBudgetInput) {
+      const budget = parseFloat(dailyBudgetInput.value);
+      options.dailyBudget = isNaN(budget) || budget <= 0 ? null : budget;
+    }
+    if (confirmEstimateToggle) options.confirmSingle = confirmEstimateToggle.checked;
+
+    try {
+      localStorage.setItem(COST_OPTIONS_KEY, JSON.stringify(options));
+      loadCostOptions();
+      if (window.UsageLedger) {
+        UsageLedger.renderSummary(usageSummary);
+      }
+    } catch (error) {
+      console.error('Error saving cost options:', error);
+      showModalMessage('error', 'Failed to save cost settings');
+    }
+  }
+
   // Update API key status indicator
   function updateApiKeyStatus() {
-    const apiKey = getApiKey();
     if (apiKeyStatus) {
-      if (apiKey) {
-        apiKeyStatus.innerHTML = '<i class="fas fa-check-circle"></i> API key saved';
+      if (usesLocalEngine()) {
+        apiKeyStatus.innerHTML = '<i class="fas fa-laptop"></i> Offline engine';
+        apiKeyStatus.className = 'api-key-status configured';
+      } else if (isKeyLocked() && getActiveProfile().encryptedKey) {
+        apiKeyStatus.innerHTML = '<i class="fas fa-lock"></i> Key locked';
+        apiKeyStatus.className = 'api-key-status not-configured';
+      } else if (hasApiKey()) {
+        const label = getEndpointOptions().baseUrl === ENDPOINT_DEFAULTS.baseUrl ? 'API key saved' : 'Custom endpoint';
+        apiKeyStatus.innerHTML = '<i class="fas fa-check-circle"></i> ' + label;
         apiKeyStatus.className = 'api-key-status configured';
       } else {
         apiKeyStatus.innerHTML = '<i class="fas fa-exclamation-circle"></i> No API key';
@@ -208,24 +1361,64 @@
     init: initSettings,
     getApiKey: getApiKey,
     hasApiKey: hasApiKey,
+    isKeyLocked: isKeyLocked,
+    lockKeys: lockKeys,
+    getProfile: getProfile,
+    getActiveProfile: getActiveProfile,
+    getProfiles: getProfiles,
+    setActiveProfile: setActiveProfile,
+    clearProfileKey: clearProfileKey,
+    usesLocalEngine: usesLocalEngine,
+    canTranscribe: canTranscribe,
+    getSetupMessage: getSetupMessage,
     openSettings: openSettingsModal,
-    validateApiKey: validateApiKey
+    validateApiKey: validateApiKey,
+    getEndpointOptions: getEndpointOptions,
+    getApiUrl: getApiUrl,
+    getAuthHeaders: getAuthHeaders,
+    getAudioExtractionOptions: getAudioExtractionOptions,
+    getTranscriptionOptions: getTranscriptionOptions,
+    getSubtitleOptions: getSubtitleOptions,
+    getRetryOptions: getRetryOptions,
+    getFilenameOptions: getFilenameOptions,
+    getCostOptions: getCostOptions
   };
 
-  // Get API key from localStorage
-  function getApiKey() {
-    try {
-      return localStorage.getItem(STORAGE_KEY) || '';
-    } catch (error) {
-      console.error('Error getting API key:', error);
+  // Get a profile's API key (defaults to the active profile).
+  // Encrypted keys read as '' while locked; using one keeps them unlocked longer.
+  function getApiKey(profileId) {
+    const profile = getProfile(profileId);
+    if (!isEncrypted()) {
+      return profile.apiKey || '';
+    }
+    if (!vaultKey) {
       return '';
     }
+    touchVault();
+    return unlockedKeys[profile.id] || '';
   }
 
-  // Check if API key is configured
+  // Check if the active profile has a usable key (or its endpoint doesn't need one);
+  // false while encrypted keys are locked
   function hasApiKey() {
-    const apiKey = getApiKey();
-    return apiKey && validateApiKey(apiKey);
+    return validateApiKey(getApiKey());
+  }
+
+  // Whether transcription runs offline in the browser
+  function usesLocalEngine() {
+    return getTranscriptionOptions().engine === 'local';
+  }
+
+  // Whether everything needed to transcribe is set up; the offline engine needs no key
+  function canTranscribe() {
+    return usesLocalEngine() || hasApiKey();
+  }
+
+  // What to do when canTranscribe() is false
+  function getSetupMessage() {
+    return isKeyLocked() ?
+      'API key is locked. Unlock it in Settings, or switch to the offline engine' :
+      'Please add an API key to this profile in Settings, or switch to the offline engine';
   }
 
   // Initialize when DOM is ready
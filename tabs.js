@@ -1,11 +1,12 @@
-// Tab navigation for Download, Transcribe, and Bulk modes
+// Tab navigation for Download, Transcribe, Bulk, and History modes
 (function() {
   'use strict';
 
   const MODES = {
     DOWNLOAD: 'download',
     TRANSCRIBE: 'transcribe',
-    BULK: 'bulk'
+    BULK: 'bulk',
+    HISTORY: 'history'
   };
 
   let currentMode = MODES.DOWNLOAD;
@@ -14,9 +15,11 @@
   let downloadTab;
   let transcribeTab;
   let bulkTab;
+  let historyTab;
   let downloadSection;
   let transcribeSection;
   let bulkSection;
+  let historySection;
 
   // Initialize tabs when DOM is ready
   function initTabs() {
@@ -24,11 +27,13 @@
     downloadTab = document.getElementById('downloadTab');
     transcribeTab = document.getElementById('transcribeTab');
     bulkTab = document.getElementById('bulkTab');
+    historyTab = document.getElementById('historyTab');
 
     // Get sections
     downloadSection = document.getElementById('downloadSection');
     transcribeSection = document.getElementById('transcribeSection');
     bulkSection = document.getElementById('bulkSection');
+    historySection = document.getElementById('historySection');
 
     // Event listeners
     if (downloadTab) {
@@ -49,6 +54,12 @@
       });
     }
 
+    if (historyTab) {
+      historyTab.addEventListener('click', function() {
+        switchToMode(MODES.HISTORY);
+      });
+    }
+
     // Check URL hash for initial mode
     checkUrlHash();
 
@@ -67,11 +78,13 @@
     if (downloadTab) downloadTab.classList.remove('active');
     if (transcribeTab) transcribeTab.classList.remove('active');
     if (bulkTab) bulkTab.classList.remove('active');
+    if (historyTab) historyTab.classList.remove('active');
 
     // Show/hide sections
     if (downloadSection) downloadSection.style.display = 'none';
     if (transcribeSection) transcribeSection.style.display = 'none';
     if (bulkSection) bulkSection.style.display = 'none';
+    if (historySection) historySection.style.display = 'none';
 
     switch (mode) {
       case MODES.DOWNLOAD:
@@ -91,6 +104,16 @@
         if (bulkSection) bulkSection.style.display = 'block';
         window.location.hash = 'bulk';
         break;
+
+      case MODES.HISTORY:
+        if (historyTab) historyTab.classList.add('active');
+        if (historySection) historySection.style.display = 'block';
+        window.location.hash = 'history';
+        // Reload so entries saved in other tabs show up
+        if (window.TranscriptHistory) {
+          window.TranscriptHistory.refresh();
+        }
+        break;
     }
   }
 
@@ -106,6 +129,9 @@
       case 'bulk':
         currentMode = MODES.BULK;
         break;
+      case 'history':
+        currentMode = MODES.HISTORY;
+        break;
       case 'download':
       default:
         currentMode = MODES.DOWNLOAD;
@@ -122,7 +148,8 @@
   }
 
   // Switch to transcribe tab and start transcription with video URL
-  function switchToTranscribe(videoUrl) {
+  // sourceUrl is the Instagram post URL, passed through for history
+  function switchToTranscribe(videoUrl, sourceUrl) {
     switchToMode(MODES.TRANSCRIBE);
 
     // Trigger transcription in transcribe tab
@@ -130,7 +157,7 @@
       // Small delay to ensure tab is visible
       setTimeout(() => {
         console.log('Auto-triggering transcription for:', videoUrl);
-        window.WhisperAPI.transcribeFromVideoUrl(videoUrl);
+        window.WhisperAPI.transcribeFromVideoUrl(videoUrl, sourceUrl);
       }, 100);
     } else {
       console.error('WhisperAPI.transcribeFromVideoUrl not available');
@@ -138,7 +165,7 @@
       setTimeout(() => {
         if (window.WhisperAPI && window.WhisperAPI.transcribeFromVideoUrl) {
           console.log('Retrying transcription trigger for:', videoUrl);
-          window.WhisperAPI.transcribeFromVideoUrl(videoUrl);
+          window.WhisperAPI.transcribeFromVideoUrl(videoUrl, sourceUrl);
         } else {
           console.error('WhisperAPI still not available after retry');
         }
@@ -0,0 +1,200 @@
+// Byte-level progress for downloads (streamed fetch) and uploads (XHR)
+(function() {
+  'use strict';
+
+  // Progress callbacks fire at most this often, plus once at the end
+  const UPDATE_INTERVAL_MS = 200;
+
+  // Statuses a Response can't be given a body for
+  const NULL_BODY_STATUSES = [204, 205, 304];
+
+  // Wrap onProgress so it receives { loaded, total, percent, eta }, throttled.
+  // total, percent and eta (seconds) are null when the size isn't known.
+  function createTracker(onProgress) {
+    const startedAt = Date.now();
+    let lastUpdate = 0;
+
+    return function(loaded, total) {
+      if (!onProgress) return;
+
+      const now = Date.now();
+      const done = total > 0 && loaded >= total;
+      if (!done && now - lastUpdate < UPDATE_INTERVAL_MS) return;
+      lastUpdate = now;
+
+      const elapsed = (now - startedAt) / 1000;
+      const rate = elapsed > 0 ? loaded / elapsed : 0;
+
+      onProgress({
+        loaded: loaded,
+        total: total || null,
+        percent: total > 0 ? Math.min(100, (loaded / total) * 100) : null,
+        eta: total > 0 && rate > 0 ? Math.max(0, (total - loaded) / rate) : null
+      });
+    };
+  }
+
+  // Read a fetch response body into a Blob, reporting progress as bytes arrive
+  async function readBody(response, onProgress) {
+    if (!response.body || !response.body.getReader) {
+      return response.blob();
+    }
+
+    // Compressed responses report the compressed length; percent is capped at 100
+    const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const track = createTracker(onProgress);
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    track(0, total);
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      track(loaded, total);
+    }
+
+    return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+  }
+
+  // Send a request with XMLHttpRequest so upload progress can be reported.
+  // Resolves with a fetch Response, so callers handle it exactly like fetch's;
+  // init.signal aborts it the way it would abort fetch.
+  function upload(url, init, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const track = createTracker(onProgress);
+      const signal = init.signal;
+
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      xhr.open(init.method || 'POST', url);
+      Object.keys(init.headers || {}).forEach(name => {
+        xhr.setRequestHeader(name, init.headers[name]);
+      });
+      xhr.responseType = 'blob';
+
+      xhr.upload.onprogress = (e) => {
+        track(e.loaded, e.lengthComputable ? e.total : 0);
+      };
+
+      xhr.onload = () => {
+        // Status 0 means the request never really got an answer (network or CORS)
+        if (xhr.status === 0) {
+          reject(new TypeError('Network request failed'));
+          return;
+        }
+
+        // Response refuses a body for statuses that can't have one
+        const body = NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response;
+        resolve(new Response(body, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseHeaders(xhr.getAllResponseHeaders())
+        }));
+      };
+
+      // Same error fetch gives for a dropped connection, so retries treat it alike
+      xhr.onerror = () => reject(new TypeError('Network request failed'));
+      xhr.onabort = () => reject(signal ? signal.reason : new DOMException('Upload aborted', 'AbortError'));
+
+      if (signal) {
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.send(init.body);
+    });
+  }
+
+  // Turn XHR's raw header block into a Headers object
+  function parseHeaders(raw) {
+    const headers = new Headers();
+    (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+      }
+    });
+    return headers;
+  }
+
+  // ==================== SAVING ====================
+
+  // Save a Blob under filename through a temporary object URL
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Download url and save it as filename. Browsers ignore the download attribute on
+  // cross-origin links, so the file is fetched into a Blob first. Resolves true when
+  // saved as filename, or false when CORS blocks reading it and the browser is sent to
+  // the URL instead, where the file keeps the server's name.
+  async function saveUrl(url, filename, onProgress, signal) {
+    let response;
+    try {
+      response = await fetch(url, { mode: 'cors', credentials: 'omit', signal: signal });
+    } catch (error) {
+      if (error.name !== 'TypeError') throw error;
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      return false;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Download failed (HTTP ${response.status})`);
+    }
+    saveBlob(await readBody(response, onProgress), filename);
+    return true;
+  }
+
+  // ==================== FORMATTING ====================
+
+  // Bytes as KB/MB
+  function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Seconds as "45s" or "3m 20s"
+  function formatEta(seconds) {
+    const total = Math.ceil(seconds);
+    return total < 60 ? `${total}s` : `${Math.floor(total / 60)}m ${total % 60}s`;
+  }
+
+  // Short detail line such as "3.2 MB / 10.5 MB, 4s left"
+  function describe(progress) {
+    const size = progress.total ?
+      `${formatBytes(progress.loaded)} / ${formatBytes(progress.total)}` :
+      formatBytes(progress.loaded);
+    return progress.eta !== null && progress.percent < 100 ?
+      `${size}, ${formatEta(progress.eta)} left` :
+      size;
+  }
+
+  // Public API
+  window.Transfer = {
+    createTracker: createTracker,
+    readBody: readBody,
+    upload: upload,
+    saveBlob: saveBlob,
+    saveUrl: saveUrl,
+    formatBytes: formatBytes,
+    formatEta: formatEta,
+    describe: describe
+  };
+})();
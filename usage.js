@@ -0,0 +1,222 @@
+// Cost estimates and a local ledger of transcription minutes and spend
+(function() {
+  'use strict';
+
+  const LEDGER_KEY = 'usage_ledger';
+
+  // Only the most recent runs are kept; day totals are kept indefinitely
+  const MAX_RUNS = 100;
+
+  // Guess for videos we haven't downloaded yet, until the ledger knows better
+  const DEFAULT_SECONDS_PER_VIDEO = 60;
+
+  // ==================== ESTIMATES ====================
+
+  // Price per audio minute for a model, from Settings
+  function getPrice(model) {
+    const options = window.Settings && Settings.getCostOptions ? Settings.getCostOptions() : { prices: {} };
+    const prices = options.prices || {};
+    const price = prices[model] !== undefined ? prices[model] : prices['whisper-1'];
+    return typeof price === 'number' ? price : 0;
+  }
+
+  // Minutes and dollars for an amount of audio
+  function estimate(seconds, model) {
+    const minutes = (seconds || 0) / 60;
+    return {
+      minutes: minutes,
+      cost: minutes * getPrice(model)
+    };
+  }
+
+  // Average length of transcribed media so far, for estimating unseen videos
+  function getAverageSeconds() {
+    const days = Object.values(loadLedger().days);
+    const count = days.reduce((sum, day) => sum + day.count, 0);
+    const minutes = days.reduce((sum, day) => sum + day.minutes, 0);
+    return count > 0 ? (minutes * 60) / count : DEFAULT_SECONDS_PER_VIDEO;
+  }
+
+  // Format dollars, keeping sub-cent amounts readable
+  function formatCost(dollars) {
+    return '$' + (dollars < 1 ? dollars.toFixed(3) : dollars.toFixed(2));
+  }
+
+  // Short label such as "~1.2 min, est. $0.007"
+  function describe(estimateResult) {
+    return `~${estimateResult.minutes.toFixed(1)} min, est. ${formatCost(estimateResult.cost)}`;
+  }
+
+  // ==================== LEDGER ====================
+
+  function loadLedger() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LEDGER_KEY) || 'null');
+      return {
+        days: (saved && saved.days) || {},
+        runs: (saved && Array.isArray(saved.runs)) ? saved.runs : []
+      };
+    } catch (error) {
+      console.error('Error loading usage ledger:', error);
+      return { days: {}, runs: [] };
+    }
+  }
+
+  function saveLedger(ledger) {
+    try {
+      localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+    } catch (error) {
+      console.error('Error saving usage ledger:', error);
+    }
+  }
+
+  // Local calendar date as YYYY-MM-DD
+  function dayKey(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Id for a new run; kind is 'bulk' or 'single'
+  function newRunId(kind) {
+    return `${kind}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // Record a finished API call against today and its run
+  // entry: { seconds, model, runId, profileId (id of the key profile used) }
+  // Returns the { minutes, cost } that was added
+  function record(entry) {
+    const added = estimate(entry.seconds, entry.model);
+    const runId = entry.runId || newRunId('single');
+    const ledger = loadLedger();
+
+    const key = dayKey();
+    const day = ledger.days[key] || { minutes: 0, cost: 0, count: 0 };
+    day.minutes += added.minutes;
+    day.cost += added.cost;
+    day.count += 1;
+    ledger.days[key] = day;
+
+    let run = ledger.runs.find(r => r.id === runId);
+    if (!run) {
+      run = {
+        id: runId,
+        kind: runId.split('_')[0],
+        startedAt: Date.now(),
+        minutes: 0,
+        cost: 0,
+        count: 0
+      };
+      ledger.runs.push(run);
+    }
+    run.minutes += added.minutes;
+    run.cost += added.cost;
+    run.count += 1;
+    run.model = entry.model;
+    if (entry.profileId) {
+      run.profileId = entry.profileId;
+    }
+
+    ledger.runs = ledger.runs.slice(-MAX_RUNS);
+    saveLedger(ledger);
+
+    return added;
+  }
+
+  // Name of a run's profile, looked up when shown so renames carry over.
+  // Runs logged before ids were stored kept the name itself.
+  function profileLabel(run) {
+    if (!run.profileId) {
+      return run.profile || '';
+    }
+    const profiles = window.Settings && Settings.getProfiles ? Settings.getProfiles() : [];
+    const profile = profiles.find(p => p.id === run.profileId);
+    return profile ? profile.name : 'deleted profile';
+  }
+
+  // Totals for one day (defaults to today)
+  function getDay(key) {
+    return loadLedger().days[key || dayKey()] || { minutes: 0, cost: 0, count: 0 };
+  }
+
+  // Totals for one run, or null if nothing was recorded for it
+  function getRun(runId) {
+    return loadLedger().runs.find(r => r.id === runId) || null;
+  }
+
+  // ==================== BUDGET ====================
+
+  // Today's spend left under the daily budget, or null when there is no cap
+  function getRemainingBudget() {
+    const options = window.Settings && Settings.getCostOptions ? Settings.getCostOptions() : {};
+    if (typeof options.dailyBudget !== 'number') return null;
+    return Math.max(0, options.dailyBudget - getDay().cost);
+  }
+
+  // Whether today's spend has reached the daily budget
+  function isOverBudget() {
+    const remaining = getRemainingBudget();
+    return remaining !== null && remaining <= 0;
+  }
+
+  // ==================== SUMMARY ====================
+
+  // Draw today's totals, the last week and recent runs into a container
+  function renderSummary(container) {
+    if (!container) return;
+
+    const ledger = loadLedger();
+    const today = getDay();
+    const remaining = getRemainingBudget();
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const key = dayKey(Date.now() - i * 86400000);
+      const day = ledger.days[key];
+      if (day) {
+        days.push(`<tr><td>${key}</td><td>${day.count}</td><td>${day.minutes.toFixed(1)}</td><td>${formatCost(day.cost)}</td></tr>`);
+      }
+    }
+
+    const runs = ledger.runs.slice(-5).reverse().map(run =>
+      `<tr><td>${new Date(run.startedAt).toLocaleString()} (${run.kind}${profileLabel(run) ? ', ' + escapeText(profileLabel(run)) : ''})</td><td>${run.count}</td><td>${run.minutes.toFixed(1)}</td><td>${formatCost(run.cost)}</td></tr>`
+    );
+
+    const table = (title, rows) => rows.length === 0 ? '' : `
+      <table class="usage-table">
+        <thead><tr><th>${title}</th><th>Calls</th><th>Min</th><th>Cost</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+
+    container.innerHTML = `
+      <p class="usage-today">
+        Today: ${today.minutes.toFixed(1)} min, ${formatCost(today.cost)}
+        ${remaining !== null ? ` &middot; ${formatCost(remaining)} left of budget` : ''}
+      </p>
+      ${table('Day', days)}
+      ${table('Recent runs', runs)}
+    `;
+  }
+
+  // Escape text for HTML
+  function escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Public API
+  window.UsageLedger = {
+    estimate: estimate,
+    getAverageSeconds: getAverageSeconds,
+    formatCost: formatCost,
+    describe: describe,
+    newRunId: newRunId,
+    record: record,
+    getDay: getDay,
+    getRun: getRun,
+    getRemainingBudget: getRemainingBudget,
+    isOverBudget: isOverBudget,
+    renderSummary: renderSummary
+  };
+})();
@@ -12,6 +12,9 @@
   // Video cache to avoid re-fetching
   const videoCache = new Map(); // URL -> {blob, timestamp}
 
+  // Real-time extraction gives up after this when the video's length isn't known
+  const MAX_REALTIME_EXTRACTION_MS = 3 * 60 * 60 * 1000;
+
   // Initialize Whisper module
   function initWhisper() {
     // Public API will be initialized at the end
@@ -20,9 +23,13 @@
   // ==================== AUDIO EXTRACTION ====================
 
   // Extract audio from video using Web Audio API
-  async function extractAudioFromVideo(videoBlob, progressCallback) {
+  // Real-time path: replays the video and records it with MediaRecorder
+  // options.signal stops playback and recording early
+  async function extractAudioFromVideo(videoBlob, progressCallback, options = {}) {
     try {
-      showProgress('Extracting audio from video...');
+      if (options.signal) {
+        options.signal.throwIfAborted();
+      }
 
       // Create video element
       const video = document.createElement('video');
@@ -55,6 +62,10 @@
 
       const source = audioContext.createMediaElementSource(video);
       const dest = audioContext.createMediaStreamDestination();
+      if (options.mono !== false) {
+        dest.channelCount = 1;
+        dest.channelCountMode = 'explicit';
+      }
       source.connect(dest);
 
       console.log('AudioContext state:', audioContext.state);
@@ -63,7 +74,7 @@
       // Create MediaRecorder to capture audio with timeslice for continuous chunks
       const mediaRecorder = new MediaRecorder(dest.stream, {
         mimeType: 'audio/webm;codecs=opus',
-        audioBitsPerSecond: 128000
+        audioBitsPerSecond: options.bitrate || 128000
       });
 
       const chunks = [];
@@ -92,17 +103,40 @@
         }
       }, 500);
 
-      // Wait for video to finish (with 5 minute timeout)
-      await new Promise((resolve, reject) => {
-        video.onended = resolve;
-        video.onerror = () => reject(new Error('Video playback error during extraction'));
+      // Wait for video to finish (with a minute of slack past its duration).
+      // Streams and some recordings report an Infinity or NaN duration, which
+      // setTimeout would treat as 0, so those get a fixed ceiling instead.
+      const timeoutMs = Number.isFinite(video.duration) ?
+        (video.duration + 60) * 1000 :
+        MAX_REALTIME_EXTRACTION_MS;
+      let timeout;
+      try {
+        await new Promise((resolve, reject) => {
+          video.onended = resolve;
+          video.onerror = () => reject(new Error('Video playback error during extraction'));
 
-        // Timeout after 5 minutes
-        setTimeout(() => {
-          reject(new Error('Audio extraction timed out. Video may be too long.'));
-        }, 5 * 60 * 1000);
-      });
+          timeout = setTimeout(() => {
+            reject(new Error('Audio extraction timed out.'));
+          }, timeoutMs);
 
+          if (options.signal) {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+          }
+        });
+      } catch (error) {
+        // Stop playback and recording so nothing keeps running in the background
+        clearTimeout(timeout);
+        clearInterval(progressInterval);
+        video.pause();
+        if (mediaRecorder.state !== 'inactive') {
+          mediaRecorder.stop();
+        }
+        URL.revokeObjectURL(videoUrl);
+        audioContext.close();
+        throw error;
+      }
+
+      clearTimeout(timeout);
       clearInterval(progressInterval);
 
       // Stop recording
@@ -126,156 +160,459 @@
       // Clean up
       URL.revokeObjectURL(videoUrl);
       video.remove();
+      audioContext.close();
 
       // Check if audio was actually captured
       if (audioBlob.size === 0 || audioBlob.size < 1000) {
         throw new Error('No audio was captured from the video. The video may not contain audio.');
       }
 
-      // Check file size
-      if (audioBlob.size > 25 * 1024 * 1024) {
-        throw new Error('Audio file is too large (>25MB). Please use a shorter video.');
-      }
-
       if (progressCallback) {
         progressCallback(100);
       }
 
       return audioBlob;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('Error extracting audio:', error);
       throw new Error('Failed to extract audio: ' + error.message);
     }
   }
 
+  // Shrink media to an audio-only upload before transcription.
+  // Falls back to the original blob if the pre-pass is off, fails, or doesn't help.
+  // signal cancels the extraction (the AbortError is passed on, not swallowed)
+  async function prepareMedia(mediaBlob, mode = 'transcribe', signal) {
+    const options = Settings && Settings.getAudioExtractionOptions ?
+                    Settings.getAudioExtractionOptions() : { enabled: false };
+
+    // Audio files are already as small as a re-encode would make them
+    if (!options.enabled || (mediaBlob.type && mediaBlob.type.startsWith('audio/'))) {
+      return mediaBlob;
+    }
+
+    const onProgress = (percent) => showProgressBar('Extracting audio...', percent, mode);
+    onProgress(0);
+
+    try {
+      const audioBlob = options.method === 'realtime' ?
+        await extractAudioFromVideo(mediaBlob, onProgress, Object.assign({}, options, { signal: signal })) :
+        await AudioTools.extractAudio(mediaBlob, { mono: options.mono, onProgress: onProgress, signal: signal });
+
+      if (audioBlob.size >= mediaBlob.size) {
+        console.log('Extracted audio is not smaller than the original, uploading original');
+        return mediaBlob;
+      }
+
+      console.log('Audio pre-pass:', { originalSize: mediaBlob.size, audioSize: audioBlob.size });
+      return audioBlob;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn('Audio extraction failed, uploading original media:', error);
+      return mediaBlob;
+    }
+  }
+
   // ==================== WHISPER API INTEGRATION ====================
 
+  // Whisper rejects uploads above 25MB
+  const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+  // Only the whisper-1 family returns segment timestamps (verbose_json);
+  // the gpt-4o transcribe models accept plain json only
+  function supportsVerboseJson(model) {
+    return !/^gpt-4o/.test(model);
+  }
+
+  // Merge saved transcription options with per-run overrides.
+  // overrides.profileId picks the key profile (defaults to the active one).
+  function resolveTranscriptionOptions(overrides) {
+    const profileId = (overrides && overrides.profileId) || Settings.getActiveProfile().id;
+    const defaults = Settings && Settings.getTranscriptionOptions ?
+                     Settings.getTranscriptionOptions(profileId) : { model: 'whisper-1' };
+    const options = Object.assign({}, defaults, { profileId: profileId });
+
+    Object.keys(overrides || {}).forEach(key => {
+      const value = overrides[key];
+      if (value !== undefined && value !== null && value !== '') {
+        options[key] = value;
+      }
+    });
+
+    // The translations endpoint only serves whisper-1 and always outputs English
+    if (options.task === 'translate') {
+      options.model = 'whisper-1';
+      delete options.language;
+    }
+
+    return options;
+  }
+
+  // The settings that shape a transcript's wording, saved with it in History so a
+  // saved transcript is only reused for runs with the same ones.
+  // model is "local:<model>" for the offline engine; languageHint is '' for auto-detect.
+  function getTranscriptionSettings(overrides, task = 'transcribe') {
+    const options = resolveTranscriptionOptions(Object.assign({}, overrides, { task: task }));
+    return {
+      model: options.engine === 'local' ? `local:${options.localModel}` : options.model,
+      languageHint: options.language || ''
+    };
+  }
+
   // Transcribe audio/video using OpenAI Whisper API
-  async function transcribeAudio(mediaBlob, apiKey) {
+  // Media over the upload limit is split into chunks and merged back together
+  // control.onUploadProgress(progress) reports upload bytes (see Transfer);
+  // control.onStatus(message, progress) reports offline engine stages;
+  // control.signal aborts splitting, uploads and retries;
+  // control.mode is the tab ('transcribe', 'download' or 'bulk') that shows retry notices
+  async function transcribeAudio(mediaBlob, apiKey, overrides, control = {}) {
     try {
-      showProgress('Transcribing...');
+      const options = resolveTranscriptionOptions(overrides);
+
+      // The offline engine needs no key, has no upload limit and costs nothing
+      if (options.engine === 'local') {
+        return await LocalWhisper.transcribe(mediaBlob, options, control);
+      }
 
       // Validate API key
-      if (!Settings || !Settings.validateApiKey(apiKey)) {
+      if (!Settings || !Settings.validateApiKey(apiKey, Settings.getEndpointOptions(options.profileId))) {
+        if (Settings && Settings.isKeyLocked()) {
+          const error = new Error('API key is locked. Unlock it in Settings');
+          error.code = 'key_locked';
+          throw error;
+        }
         throw new Error('Invalid API key');
       }
 
-      // Detect file extension from blob type
-      let extension = 'mp4';
-      if (mediaBlob.type.includes('webm')) {
-        extension = 'webm';
-      } else if (mediaBlob.type.includes('mp4')) {
-        extension = 'mp4';
-      } else if (mediaBlob.type.includes('mpeg')) {
-        extension = 'mpeg';
-      }
+      const result = mediaBlob.size > MAX_UPLOAD_BYTES ?
+        await transcribeInChunks(mediaBlob, apiKey, options, control) :
+        await requestTranscription(mediaBlob, apiKey, options, control);
 
-      // Create form data
-      const formData = new FormData();
-      formData.append('file', mediaBlob, `video.${extension}`);
-      formData.append('model', 'whisper-1');
-      formData.append('response_format', 'verbose_json'); // Get timestamps
+      await recordUsage(result, mediaBlob, options);
+      return result;
+    } catch (error) {
+      console.error('Error transcribing audio:', error);
+      throw error;
+    }
+  }
 
-      // Call Whisper API
-      const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: formData
+  // Add a finished call to the usage ledger; never fails the transcription
+  async function recordUsage(result, mediaBlob, options) {
+    try {
+      const seconds = result.duration || await AudioTools.getDuration(mediaBlob).catch(() => 0);
+      UsageLedger.record({
+        seconds: seconds,
+        model: options.model,
+        runId: options.runId,
+        profileId: options.profileId
       });
+    } catch (error) {
+      console.warn('Could not record usage:', error);
+    }
+  }
+
+  // Estimate minutes and cost for an upload and, before anything is sent, ask to
+  // confirm it (always when it would go over today's budget, otherwise unless turned
+  // off in Settings). Declining either cancels the job with an AbortError. Returns a label like
+  // " (~1.2 min, est. $0.007)", or '' if the duration can't be read.
+  async function estimateUpload(uploadBlob, task, overrides) {
+    if (resolveTranscriptionOptions(overrides).engine === 'local') return '';
+
+    const seconds = await AudioTools.getDuration(uploadBlob).catch(() => 0);
+    if (!seconds) return '';
+
+    const estimate = UsageLedger.estimate(seconds, resolveTranscriptionOptions(overrides).model);
+    if (task === 'translate') {
+      // Translation also transcribes, so the audio is billed twice
+      const translation = UsageLedger.estimate(seconds, 'whisper-1');
+      estimate.minutes += translation.minutes;
+      estimate.cost += translation.cost;
+    }
 
-      if (!response.ok) {
-        await handleApiError(response);
+    const remaining = UsageLedger.getRemainingBudget();
+    if (remaining !== null && estimate.cost > remaining) {
+      if (!confirm(`This is estimated at ${UsageLedger.formatCost(estimate.cost)}, more than the ${UsageLedger.formatCost(remaining)} left in today's budget. Continue anyway?`)) {
+        throw new DOMException('Declined going over today\'s budget', 'AbortError');
       }
+    } else if (Settings.getCostOptions().confirmSingle &&
+        !confirm(`This ${task === 'translate' ? 'translation' : 'transcription'} is estimated at ${UsageLedger.describe(estimate)}. Start the upload?`)) {
+      throw new DOMException('Declined the estimate', 'AbortError');
+    }
 
-      const result = await response.json();
-      return result;
+    return ` (${UsageLedger.describe(estimate)})`;
+  }
+
+  // Translate audio/video to English using the Whisper translations endpoint
+  async function translateAudio(mediaBlob, apiKey, overrides, control) {
+    return transcribeAudio(mediaBlob, apiKey, Object.assign({}, overrides, { task: 'translate' }), control);
+  }
+
+  // Run a transcribe or translate task on an upload.
+  // Translation also transcribes, so the original text and detected
+  // language can be shown next to the English version.
+  async function runTranscriptionTask(uploadBlob, apiKey, task, overrides, control = {}) {
+    // Both calls of a translation are logged as one run
+    overrides = Object.assign({ runId: UsageLedger.newRunId('single') }, overrides);
+
+    if (task !== 'translate') {
+      return transcribeAudio(uploadBlob, apiKey, overrides, control);
+    }
+
+    // Both uploads are the same size and run side by side, so one reports progress
+    // (the offline engine runs them one after the other)
+    const [original, translation] = await Promise.all([
+      transcribeAudio(uploadBlob, apiKey, overrides, control),
+      translateAudio(uploadBlob, apiKey, overrides, Object.assign({}, control, { onUploadProgress: null }))
+    ]);
+
+    return Object.assign({}, translation, {
+      language: 'english',
+      sourceLanguage: original.language,
+      original: {
+        text: original.text,
+        segments: original.segments || []
+      }
+    });
+  }
+
+  // Split long media into overlapping chunks and transcribe each one
+  async function transcribeInChunks(mediaBlob, apiKey, options, control = {}) {
+    showProgress('Splitting long media into chunks...', control.mode);
+    let chunks;
+    try {
+      chunks = await AudioTools.splitIntoChunks(mediaBlob, { signal: control.signal });
     } catch (error) {
-      console.error('Error transcribing audio:', error);
-      throw error;
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      throw new Error('Media is larger than 25MB and could not be split: ' + error.message);
+    }
+
+    // Upload progress covers all chunks, so the bar doesn't restart for each part
+    const totalBytes = chunks.reduce((sum, chunk) => sum + chunk.blob.size, 0);
+    let sentBytes = 0;
+
+    const parts = [];
+    for (let i = 0; i < chunks.length; i++) {
+      showProgress(`Transcribing part ${i + 1} of ${chunks.length}...`, control.mode);
+      const onUploadProgress = control.onUploadProgress ? (progress) => {
+        control.onUploadProgress({
+          loaded: sentBytes + progress.loaded,
+          total: totalBytes,
+          percent: ((sentBytes + progress.loaded) / totalBytes) * 100,
+          eta: progress.eta
+        });
+      } : null;
+
+      const result = await requestTranscription(chunks[i].blob, apiKey, options, {
+        onUploadProgress: onUploadProgress,
+        signal: control.signal,
+        mode: control.mode
+      });
+      sentBytes += chunks[i].blob.size;
+      parts.push({ start: chunks[i].start, end: chunks[i].end, result: result });
     }
+
+    return AudioTools.mergeChunkResults(parts);
   }
 
-  // Handle API errors
-  async function handleApiError(response) {
+  // Send a single upload to the Whisper API
+  async function requestTranscription(mediaBlob, apiKey, options, control = {}) {
+    // Detect file extension from blob type
+    let extension = 'mp4';
+    if (mediaBlob.type.includes('webm')) {
+      extension = 'webm';
+    } else if (mediaBlob.type.includes('mp4')) {
+      extension = 'mp4';
+    } else if (mediaBlob.type.includes('mpeg')) {
+      extension = 'mpeg';
+    } else if (mediaBlob.type.includes('wav')) {
+      extension = 'wav';
+    }
+
+    // Create form data
+    const formData = new FormData();
+    formData.append('file', mediaBlob, `video.${extension}`);
+    formData.append('model', options.model);
+    formData.append('response_format', supportsVerboseJson(options.model) ? 'verbose_json' : 'json');
+    if (options.language && options.task !== 'translate') {
+      formData.append('language', options.language);
+    }
+    if (options.prompt) {
+      formData.append('prompt', options.prompt);
+    }
+    if (typeof options.temperature === 'number') {
+      formData.append('temperature', String(options.temperature));
+    }
+
+    // Word timestamps let subtitles be re-cut to fit a 9:16 frame
+    const subtitleOptions = Settings && Settings.getSubtitleOptions ? Settings.getSubtitleOptions() : {};
+    if (subtitleOptions.wordTimestamps && options.task !== 'translate' && supportsVerboseJson(options.model)) {
+      formData.append('timestamp_granularities[]', 'word');
+      formData.append('timestamp_granularities[]', 'segment');
+    }
+
+    // Call Whisper API, retrying rate limits and server errors
+    const path = options.task === 'translate' ? 'audio/translations' : 'audio/transcriptions';
+    const endpoint = Settings.getEndpointOptions(options.profileId);
+    const response = await RetryPolicy.run(async () => {
+      const res = await Transfer.upload(Settings.getApiUrl(path, endpoint), {
+        method: 'POST',
+        headers: Settings.getAuthHeaders(apiKey, endpoint),
+        body: formData,
+        signal: control.signal
+      }, control.onUploadProgress);
+
+      if (!res.ok) {
+        await handleApiError(res, options.profileId, endpoint);
+      }
+      return res;
+    }, {
+      signal: control.signal,
+      // Bulk runs pace requests with the pool's limiter, which handles 429s itself
+      retryRateLimits: control.mode !== 'bulk',
+      onRetry: (error, attempt, delay) => {
+        showProgress(`${error.message} Retrying in ${Math.ceil(delay / 1000)}s...`, control.mode);
+      }
+    });
+
+    const result = await response.json();
+    return result;
+  }
+
+  // Handle API errors from the endpoint of the profile that made the request
+  async function handleApiError(response, profileId, endpoint) {
     let errorMessage = 'Transcription failed';
+    let errorCode = null;
 
     try {
       const errorData = await response.json();
       errorMessage = errorData.error?.message || errorMessage;
+      errorCode = errorData.error?.code || null;
     } catch (e) {
       // Couldn't parse error JSON
     }
 
     switch (response.status) {
       case 401:
-        errorMessage = 'Invalid API key. Please check your settings.';
-        // Clear the invalid API key
-        if (Settings && Settings.clearApiKey) {
-          localStorage.removeItem('openai_api_key');
+        errorMessage = 'Invalid API key. It was cleared; please enter it again in Settings.';
+        // Clear the rejected key from the profile that sent it
+        if (Settings && Settings.clearProfileKey) {
+          Settings.clearProfileKey(profileId);
         }
         break;
       case 413:
         errorMessage = 'Audio file is too large. Please use a shorter video.';
         break;
       case 429:
-        errorMessage = 'Rate limit exceeded. Please try again in a moment.';
+        // An exhausted quota also comes back as 429, but waiting won't fix it
+        if (errorCode !== 'insufficient_quota') {
+          errorMessage = 'Rate limit exceeded. Please try again in a moment.';
+        }
         break;
       case 500:
       case 503:
-        errorMessage = 'OpenAI service error. Please try again later.';
+        errorMessage = `${getServiceName(endpoint)} service error. Please try again later.`;
         break;
     }
 
-    throw new Error(errorMessage);
+    // Status, code and Retry-After let callers such as the bulk pool back off
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    error.code = errorCode;
+    error.retryAfter = RateLimiter.parseRetryAfter(response.headers);
+    throw error;
+  }
+
+  // "OpenAI", or the host of a custom endpoint
+  function getServiceName(endpoint) {
+    try {
+      const host = new URL(endpoint.baseUrl).host;
+      return host === 'api.openai.com' ? 'OpenAI' : host;
+    } catch (error) {
+      return 'Transcription';
+    }
   }
 
   // ==================== SRT GENERATION ====================
 
   // Generate SRT format from Whisper segments
   function generateSRT(segments) {
-    if (!segments || segments.length === 0) {
-      return '';
-    }
+    return TranscriptFormats.render('srt', { segments: segments || [] });
+  }
 
-    let srt = '';
-    segments.forEach((segment, index) => {
-      const startTime = formatSRTTime(segment.start);
-      const endTime = formatSRTTime(segment.end);
-      const text = segment.text.trim();
+  // Pad number with zeros
+  function pad(num, length) {
+    return String(num).padStart(length, '0');
+  }
 
-      srt += `${index + 1}\n`;
-      srt += `${startTime} --> ${endTime}\n`;
-      srt += `${text}\n\n`;
-    });
+  // ==================== JOBS ====================
 
-    return srt;
+  // The single-media job in flight; starting another one cancels it
+  let activeJob = null;
+
+  // Start a job, cancelling any still running. Returns its AbortController.
+  function beginJob() {
+    if (activeJob) {
+      activeJob.abort();
+    }
+    activeJob = new AbortController();
+    toggleCancelButton(true);
+    return activeJob;
   }
 
-  // Format time for SRT (HH:MM:SS,mmm)
-  function formatSRTTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 1000);
+  // Finish a job; one already replaced by a newer job leaves the UI alone
+  function endJob(job) {
+    if (activeJob === job) {
+      activeJob = null;
+      toggleCancelButton(false);
+    }
+  }
 
-    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)},${pad(ms, 3)}`;
+  // Cancel the job in flight, if any
+  function cancelJob() {
+    if (activeJob) {
+      activeJob.abort();
+    }
   }
 
-  // Pad number with zeros
-  function pad(num, length) {
-    return String(num).padStart(length, '0');
+  // Report an aborted job. Returns true if the error was an abort (and is handled).
+  function handleAbort(job, error, mode) {
+    if (!error || error.name !== 'AbortError') return false;
+
+    // A newer job owns the spinner and messages now
+    if (activeJob === job) {
+      hideSpinner(mode);
+      showMessage('info', 'Cancelled', mode);
+    }
+    return true;
+  }
+
+  function toggleCancelButton(visible) {
+    const cancelButton = document.getElementById('cancelJobButton');
+    if (cancelButton) {
+      cancelButton.style.display = visible ? '' : 'none';
+    }
   }
 
   // ==================== MAIN TRANSCRIPTION FLOW ====================
 
   // Main transcription function
-  async function transcribeVideo(videoUrl, mode = 'transcribe') {
+  // task is 'transcribe' or 'translate' (to English)
+  // source ({ url, thumbnailUrl, author }) describes the original post for history and filenames
+  // job is the AbortController of a job already started by the caller
+  async function transcribeVideo(videoUrl, mode = 'transcribe', task = 'transcribe', source = {}, job = null) {
+    job = job || beginJob();
+    const signal = job.signal;
+
     try {
       // Check if API key is configured
-      if (!Settings || !Settings.hasApiKey()) {
-        showMessage('error', 'Please configure your OpenAI API key in Settings', mode);
+      if (!Settings || !Settings.canTranscribe()) {
+        showMessage('error', Settings.getSetupMessage(), mode);
         if (Settings && Settings.openSettings) {
           Settings.openSettings();
         }
@@ -290,28 +627,47 @@
 
       // Step 1: Fetch video
       showProgress('Fetching video...', mode);
-      const videoBlob = await fetchVideoAsBlob(videoUrl);
+      const videoBlob = await fetchVideoAsBlob(videoUrl, (progress) => {
+        showTransferProgress('Downloading video...', progress, mode);
+      }, signal);
       currentVideoBlob = videoBlob;
 
-      // Step 2: Transcribe video directly (Whisper supports video files)
-      showProgress('Transcribing video...', mode);
-      const result = await transcribeAudio(videoBlob, apiKey);
+      // Step 2: Strip the video track down to audio
+      const uploadBlob = await prepareMedia(videoBlob, mode, signal);
+
+      // Step 3: Transcribe (and translate)
+      const runOptions = getRunOptions('transcribeRunOptions');
+      const estimate = await estimateUpload(uploadBlob, task, runOptions);
+      const waitingMessage = (task === 'translate' ? 'Translating video' : 'Transcribing video') + estimate + '...';
+      showProgress(waitingMessage, mode);
+      const result = await runTranscriptionTask(uploadBlob, apiKey, task, runOptions, {
+        onUploadProgress: uploadProgressHandler(waitingMessage, mode),
+        onStatus: statusHandler(mode),
+        signal: signal,
+        mode: mode
+      });
+      signal.throwIfAborted();
 
       // Step 4: Display results
-      displayTranscriptionResults(result, videoBlob, mode);
+      displayTranscriptionResults(result, videoBlob, mode, { source: source });
+      recordHistory(result, videoBlob, source, getTranscriptionSettings(runOptions, task));
 
       hideSpinner(mode);
-      showMessage('success', 'Transcription complete!', mode);
+      showMessage('success', task === 'translate' ? 'Translation complete!' : 'Transcription complete!', mode);
 
     } catch (error) {
+      if (handleAbort(job, error, mode)) return;
       console.error('Transcription error:', error);
       hideSpinner(mode);
       showMessage('error', error.message || 'Transcription failed', mode);
+    } finally {
+      endJob(job);
     }
   }
 
   // Fetch video as blob with caching
-  async function fetchVideoAsBlob(url) {
+  // onProgress(progress) reports download bytes (see Transfer); signal aborts the download
+  async function fetchVideoAsBlob(url, onProgress, signal) {
     try {
       // Check cache first (cache for 5 minutes)
       const cached = videoCache.get(url);
@@ -320,15 +676,22 @@
         return cached.blob;
       }
 
-      // Fetch video
-      const response = await fetch(url, {
-        mode: 'cors',
-        credentials: 'omit'
+      // Fetch video; a TypeError here is almost always CORS, which retrying won't fix
+      const response = await RetryPolicy.run(async () => {
+        const res = await fetch(url, {
+          mode: 'cors',
+          credentials: 'omit',
+          signal: signal
+        });
+        if (!res.ok) {
+          throw RetryPolicy.errorFromResponse(res, 'Failed to fetch video');
+        }
+        return res;
+      }, {
+        signal: signal,
+        shouldRetry: error => error.name !== 'TypeError' && RetryPolicy.isRetriable(error)
       });
-      if (!response.ok) {
-        throw new Error('Failed to fetch video');
-      }
-      const blob = await response.blob();
+      const blob = await Transfer.readBody(response, onProgress);
 
       // Cache the blob
       videoCache.set(url, {
@@ -338,6 +701,10 @@
 
       return blob;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
       // CORS error - need alternative method
       if (error.message.includes('CORS') || error.message.includes('cors') ||
           error.message.includes('Cross-Origin') || error.name === 'TypeError') {
@@ -349,19 +716,94 @@
 
   // ==================== UI HELPERS ====================
 
+  // Map a mode to the element that shows its status messages
+  function getResponseId(mode) {
+    if (mode === 'download') return 'response';
+    if (mode === 'bulk') return 'bulkResponse';
+    return 'transcribeResponse';
+  }
+
   // Show progress message
   function showProgress(message, mode = 'transcribe') {
-    const responseId = mode === 'download' ? 'response' : 'transcribeResponse';
-    const responseDiv = document.getElementById(responseId);
+    const responseDiv = document.getElementById(getResponseId(mode));
     if (responseDiv) {
       responseDiv.innerHTML = `<div class="info-message"><i class="fas fa-spinner fa-spin"></i> ${message}</div>`;
     }
   }
 
+  // Read per-run transcription overrides from an options panel.
+  // Blank fields are left out so Settings defaults apply.
+  function getRunOptions(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return {};
+
+    const overrides = {};
+    const model = container.querySelector('[name="model"]');
+    const language = container.querySelector('[name="language"]');
+    const prompt = container.querySelector('[name="prompt"]');
+    const temperature = container.querySelector('[name="temperature"]');
+
+    if (model && model.value) overrides.model = model.value;
+    if (language && /^[a-zA-Z]{2}$/.test(language.value.trim())) overrides.language = language.value.trim().toLowerCase();
+    if (prompt && prompt.value.trim()) overrides.prompt = prompt.value.trim();
+    if (temperature && temperature.value !== '') {
+      const value = parseFloat(temperature.value);
+      if (!isNaN(value)) overrides.temperature = Math.max(0, Math.min(1, value));
+    }
+
+    return overrides;
+  }
+
+  // Show progress message with a percentage bar
+  function showProgressBar(message, percent, mode = 'transcribe', detail = '') {
+    const responseDiv = document.getElementById(getResponseId(mode));
+    if (responseDiv) {
+      const value = Math.max(0, Math.min(100, Math.round(percent)));
+      responseDiv.innerHTML = `
+        <div class="info-message progress-message">
+          <span><i class="fas fa-spinner fa-spin"></i> ${message} ${value}%${detail ? ` <small>(${detail})</small>` : ''}</span>
+          <div class="progress-bar"><div class="progress-bar-fill" style="width: ${value}%"></div></div>
+        </div>
+      `;
+    }
+  }
+
+  // Show download or upload progress; just a byte count when the size is unknown
+  function showTransferProgress(message, progress, mode = 'transcribe') {
+    if (progress.percent === null) {
+      showProgress(`${message} ${Transfer.formatBytes(progress.loaded)}...`, mode);
+    } else {
+      showProgressBar(message, progress.percent, mode, Transfer.describe(progress));
+    }
+  }
+
+  // Upload progress handler: a bar while bytes go out, then waitingMessage
+  // while OpenAI works on the finished upload
+  function uploadProgressHandler(waitingMessage, mode = 'transcribe') {
+    return (progress) => {
+      if (progress.percent !== null && progress.percent >= 100) {
+        showProgress(waitingMessage, mode);
+      } else {
+        showTransferProgress('Uploading audio...', progress, mode);
+      }
+    };
+  }
+
+  // Stage handler for the offline engine: a bar while the model downloads,
+  // otherwise a spinner with the stage
+  function statusHandler(mode = 'transcribe') {
+    return (message, progress) => {
+      if (progress) {
+        showTransferProgress(message, progress, mode);
+      } else {
+        showProgress(message, mode);
+      }
+    };
+  }
+
   // Show message
   function showMessage(type, message, mode = 'transcribe') {
-    const responseId = mode === 'download' ? 'response' : 'transcribeResponse';
-    const responseDiv = document.getElementById(responseId);
+    const responseDiv = document.getElementById(getResponseId(mode));
     if (responseDiv) {
       const className = type === 'error' ? 'error-message' :
                        type === 'success' ? 'success-message' : 'info-message';
@@ -371,8 +813,7 @@
 
   // Clear message
   function clearMessage(mode = 'transcribe') {
-    const responseId = mode === 'download' ? 'response' : 'transcribeResponse';
-    const responseDiv = document.getElementById(responseId);
+    const responseDiv = document.getElementById(getResponseId(mode));
     if (responseDiv) {
       responseDiv.innerHTML = '';
     }
@@ -397,7 +838,9 @@
   }
 
   // Display transcription results
-  function displayTranscriptionResults(result, videoBlob, mode = 'transcribe') {
+  // options.historyId links the view to a saved history entry
+  // options.source describes the post, for download filenames
+  function displayTranscriptionResults(result, videoBlob, mode = 'transcribe', options = {}) {
     const sectionId = mode === 'download' ? 'downloadTranscriptionResults' : 'transcriptionResultSection';
     const section = document.getElementById(sectionId);
     if (!section) return;
@@ -411,31 +854,60 @@
     // Generate SRT
     const srtContent = generateSRT(result.segments || []);
 
-    // Create results HTML
-    const html = `
-      <div class="transcript-metadata">
-        <span class="meta-item"><i class="fas fa-language"></i> Language: <strong>${language}</strong></span>
-        <span class="meta-item"><i class="fas fa-file-word"></i> Words: <strong>${wordCount}</strong></span>
-        <span class="meta-item"><i class="fas fa-clock"></i> Duration: <strong>${formatDuration(duration)}</strong></span>
-      </div>
+    // Translations carry the original transcript alongside the English text
+    const isTranslation = Boolean(result.original);
+    const sourceLanguage = result.sourceLanguage || 'auto-detected';
 
-      <div class="transcript-text">
-        <h3><i class="fas fa-align-left"></i> Transcript</h3>
+    const languageMeta = isTranslation ?
+      `<span class="meta-item"><i class="fas fa-language"></i> Original language: <strong>${sourceLanguage}</strong></span>
+        <span class="meta-item"><i class="fas fa-arrow-right"></i> Translated to: <strong>English</strong></span>` :
+      `<span class="meta-item"><i class="fas fa-language"></i> Language: <strong>${language}</strong></span>`;
+
+    // Segmented results get the editable, player-synced view
+    const editable = Array.isArray(result.segments) && result.segments.length > 0;
+
+    const transcriptBlock = `
         <div class="transcript-content-wrapper">
-          <div class="transcript-content">${escapeHtml(result.text)}</div>
+          ${editable ?
+            '<div class="transcript-editor"></div>' :
+            `<div class="transcript-content">${escapeHtml(result.text)}</div>`}
           <button class="copy-transcript-btn" onclick="WhisperAPI.copyTranscript()" title="Copy to clipboard">
             <i class="fas fa-copy"></i>
           </button>
+        </div>`;
+
+    const textSection = isTranslation ? `
+      <div class="transcript-text transcript-columns">
+        <div class="transcript-column">
+          <h3><i class="fas fa-align-left"></i> Original (${sourceLanguage})</h3>
+          <div class="transcript-content-wrapper">
+            <div class="transcript-content">${escapeHtml(result.original.text)}</div>
+          </div>
+        </div>
+        <div class="transcript-column">
+          <h3><i class="fas fa-globe"></i> English</h3>
+          ${transcriptBlock}
         </div>
+      </div>` : `
+      <div class="transcript-text">
+        <h3><i class="fas fa-align-left"></i> Transcript</h3>
+        ${transcriptBlock}
+      </div>`;
+
+    // Create results HTML
+    const html = `
+      <div class="transcript-metadata">
+        ${languageMeta}
+        <span class="meta-item"><i class="fas fa-file-word"></i> Words: <strong>${wordCount}</strong></span>
+        <span class="meta-item"><i class="fas fa-clock"></i> Duration: <strong>${formatDuration(duration)}</strong></span>
       </div>
+${textSection}
 
       <div class="transcript-actions">
-        <button class="download-btn" onclick="WhisperAPI.downloadTranscript('txt')">
-          <i class="fas fa-file-alt"></i> Download TXT
-        </button>
-        <button class="download-btn" onclick="WhisperAPI.downloadTranscript('srt')">
-          <i class="fas fa-closed-captioning"></i> Download SRT
-        </button>
+        ${TranscriptFormats.list().map(format => `
+        <button class="download-btn" onclick="WhisperAPI.downloadTranscript('${format.id}')">
+          <i class="fas ${format.icon}"></i> Download ${format.label}
+        </button>`).join('')}
         ${mode === 'transcribe' && videoBlob ?
           '<button class="download-btn" onclick="WhisperAPI.downloadVideo()"><i class="fas fa-download"></i> Download Video</button>' :
           ''}
@@ -449,8 +921,63 @@
     window._transcriptionResult = {
       text: result.text,
       srt: srtContent,
-      videoBlob: videoBlob
+      result: result,
+      videoBlob: videoBlob,
+      historyId: options.historyId || null,
+      // Post the result came from ({ url, shortcode, author, createdAt }), for filenames
+      source: options.source || {}
     };
+
+    // Edits flow back into the stored result so downloads use corrected text
+    if (editable) {
+      TranscriptEditor.mount(section.querySelector('.transcript-editor'), result, videoBlob, (edited) => {
+        const stored = window._transcriptionResult;
+        if (!stored || stored.result !== edited) return;
+        stored.text = edited.text;
+        stored.srt = generateSRT(edited.segments);
+        persistEdits(stored);
+      });
+    }
+  }
+
+  // Show a result (e.g. reopened from history) in the Transcribe tab
+  function showResult(result, mediaBlob, options) {
+    displayTranscriptionResults(result, mediaBlob, 'transcribe', options);
+  }
+
+  // ==================== HISTORY ====================
+
+  let persistTimer = null;
+
+  // Save a finished result to history and link the view to the new entry
+  // settings is from getTranscriptionSettings
+  async function recordHistory(result, mediaBlob, source, settings) {
+    if (!window.TranscriptHistory) return;
+
+    try {
+      const id = await TranscriptHistory.saveResult(result, mediaBlob, Object.assign({}, source, settings));
+      const stored = window._transcriptionResult;
+      if (stored && stored.result === result) {
+        stored.historyId = id;
+      }
+    } catch (error) {
+      console.warn('Could not save transcription to history:', error);
+    }
+  }
+
+  // Write editor changes back to history, debounced while typing
+  function persistEdits(stored) {
+    if (!stored.historyId || !window.TranscriptHistory) return;
+
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      const text = stored.result.text.trim();
+      TranscriptHistory.update(stored.historyId, {
+        result: stored.result,
+        text: text,
+        wordCount: text ? text.split(/\s+/).length : 0
+      }).catch(error => console.warn('Could not save edits to history:', error));
+    }, 1000);
   }
 
   // Format duration (seconds to MM:SS)
@@ -495,19 +1022,13 @@
     const result = window._transcriptionResult;
     if (!result) return;
 
-    let content, filename, mimeType;
+    const exportFormat = TranscriptFormats.get(format);
+    if (!exportFormat) return;
 
-    if (format === 'txt') {
-      content = result.text;
-      filename = `transcript_${Date.now()}.txt`;
-      mimeType = 'text/plain';
-    } else if (format === 'srt') {
-      content = result.srt;
-      filename = `transcript_${Date.now()}.srt`;
-      mimeType = 'text/srt';
-    }
+    const content = TranscriptFormats.render(format, result.result);
+    const filename = `${getOutputName(result)}.${exportFormat.extension}`;
 
-    const blob = new Blob([content], { type: mimeType });
+    const blob = new Blob([content], { type: exportFormat.mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -516,6 +1037,18 @@
     URL.revokeObjectURL(url);
   }
 
+  // Base filename for the shown result, from the filename template
+  function getOutputName(stored) {
+    const source = stored.source || {};
+    return OutputFilename.build({
+      url: source.url,
+      shortcode: source.shortcode,
+      author: source.author,
+      date: source.createdAt || Date.now(),
+      language: stored.result.language
+    });
+  }
+
   // Download video
   function downloadVideo() {
     const result = window._transcriptionResult;
@@ -524,7 +1057,7 @@
     const url = URL.createObjectURL(result.videoBlob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `instagram_video_${Date.now()}.mp4`;
+    a.download = `${getOutputName(result)}.mp4`;
     a.click();
     URL.revokeObjectURL(url);
   }
@@ -556,6 +1089,7 @@
   function setupFileUpload() {
     const fileInput = document.getElementById('videoFileInput');
     const transcribeFileBtn = document.getElementById('transcribeFileButton');
+    const translateFileBtn = document.getElementById('translateFileButton');
     const uploadDropzone = document.getElementById('uploadDropzone');
     const uploadSelectedText = document.getElementById('uploadSelectedText');
 
@@ -596,19 +1130,27 @@
         }
         await transcribeSelectedFile(file, transcribeFileBtn);
       });
+
+      if (translateFileBtn) {
+        translateFileBtn.addEventListener('click', async function() {
+          const file = fileInput.files[0];
+          if (!file) {
+            showMessage('error', 'Please select a media file', 'transcribe');
+            return;
+          }
+          await transcribeSelectedFile(file, translateFileBtn, 'translate');
+        });
+      }
     }
 
     function handleFileSelected(file) {
       if (!file) return;
-      const maxSize = 25 * 1024 * 1024;
-      if (file.size > maxSize) {
-        showMessage('error', 'File is larger than 25MB limit', 'transcribe');
-        return;
-      }
       fileInput.files = createFileList(file);
       if (uploadSelectedText) {
+        // Files over the upload limit are split into chunks when transcribed
+        const note = file.size > MAX_UPLOAD_BYTES ? ' — will be transcribed in parts' : '';
         uploadSelectedText.style.display = 'block';
-        uploadSelectedText.innerHTML = `<strong>Selected:</strong> ${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)`;
+        uploadSelectedText.innerHTML = `<strong>Selected:</strong> ${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)${note}`;
       }
     }
 
@@ -619,16 +1161,19 @@
       return dataTransfer.files;
     }
 
-    async function transcribeSelectedFile(file, buttonEl) {
+    async function transcribeSelectedFile(file, buttonEl, task = 'transcribe') {
       // Check if API key is configured
-      if (!Settings || !Settings.hasApiKey()) {
-        showMessage('error', 'Please configure your OpenAI API key in Settings', 'transcribe');
+      if (!Settings || !Settings.canTranscribe()) {
+        showMessage('error', Settings.getSetupMessage(), 'transcribe');
         if (Settings && Settings.openSettings) {
           Settings.openSettings();
         }
         return;
       }
 
+      const job = beginJob();
+      const signal = job.signal;
+
       try {
         const apiKey = Settings.getApiKey();
 
@@ -638,22 +1183,36 @@
         showSpinner('transcribe');
         clearMessage('transcribe');
 
-        // Transcribe video file directly
-        showProgress('Transcribing media...', 'transcribe');
-        const result = await transcribeAudio(file, apiKey);
+        // Strip video down to audio, then transcribe (and translate)
+        const uploadBlob = await prepareMedia(file, 'transcribe', signal);
+        const runOptions = getRunOptions('transcribeRunOptions');
+        const estimate = await estimateUpload(uploadBlob, task, runOptions);
+        const waitingMessage = (task === 'translate' ? 'Translating media' : 'Transcribing media') + estimate + '...';
+        showProgress(waitingMessage, 'transcribe');
+        const result = await runTranscriptionTask(uploadBlob, apiKey, task, runOptions, {
+          onUploadProgress: uploadProgressHandler(waitingMessage),
+          onStatus: statusHandler(),
+          signal: signal,
+          mode: 'transcribe'
+        });
+        signal.throwIfAborted();
 
         // Display results
-        displayTranscriptionResults(result, file, 'transcribe');
+        const source = { url: file.name };
+        displayTranscriptionResults(result, file, 'transcribe', { source: source });
+        recordHistory(result, file, source, getTranscriptionSettings(runOptions, task));
 
         hideSpinner('transcribe');
-        showMessage('success', 'Transcription complete!', 'transcribe');
+        showMessage('success', task === 'translate' ? 'Translation complete!' : 'Transcription complete!', 'transcribe');
 
       } catch (error) {
+        if (handleAbort(job, error, 'transcribe')) return;
         console.error('Transcription error:', error);
         hideSpinner('transcribe');
         showMessage('error', error.message || 'Transcription failed', 'transcribe');
       } finally {
         if (buttonEl) buttonEl.disabled = false;
+        endJob(job);
       }
     }
   }
@@ -661,11 +1220,15 @@
   // ==================== TRANSCRIBE FROM VIDEO URL (FOR TAB SWITCHING) ====================
 
   // Transcribe from a video URL (called when switching from download tab)
-  async function transcribeFromVideoUrl(videoUrl) {
+  // sourceUrl is the Instagram post the video came from, kept for history
+  async function transcribeFromVideoUrl(videoUrl, sourceUrl) {
+    const job = beginJob();
+    const signal = job.signal;
+
     try {
       // Check if API key is configured
-      if (!Settings || !Settings.hasApiKey()) {
-        showMessage('error', 'Please configure your OpenAI API key in Settings', 'transcribe');
+      if (!Settings || !Settings.canTranscribe()) {
+        showMessage('error', Settings.getSetupMessage(), 'transcribe');
         if (Settings && Settings.openSettings) {
           Settings.openSettings();
         }
@@ -680,20 +1243,35 @@
 
       // Fetch video (will use cache if available)
       showProgress('Fetching video...', 'transcribe');
-      const videoBlob = await fetchVideoAsBlob(videoUrl);
+      const videoBlob = await fetchVideoAsBlob(videoUrl, (progress) => {
+        showTransferProgress('Downloading video...', progress);
+      }, signal);
       currentVideoBlob = videoBlob;
 
-      // Transcribe video directly
-      showProgress('Transcribing video...', 'transcribe');
-      const result = await transcribeAudio(videoBlob, apiKey);
+      // Strip video down to audio, then transcribe
+      const uploadBlob = await prepareMedia(videoBlob, 'transcribe', signal);
+      const runOptions = getRunOptions('transcribeRunOptions');
+      const estimate = await estimateUpload(uploadBlob, 'transcribe', runOptions);
+      const waitingMessage = 'Transcribing video' + estimate + '...';
+      showProgress(waitingMessage, 'transcribe');
+      const result = await transcribeAudio(uploadBlob, apiKey, runOptions, {
+        onUploadProgress: uploadProgressHandler(waitingMessage),
+        onStatus: statusHandler(),
+        signal: signal,
+        mode: 'transcribe'
+      });
+      signal.throwIfAborted();
 
       // Display results
-      displayTranscriptionResults(result, videoBlob, 'transcribe');
+      const source = { url: sourceUrl || videoUrl };
+      displayTranscriptionResults(result, videoBlob, 'transcribe', { source: source });
+      recordHistory(result, videoBlob, source, getTranscriptionSettings(runOptions));
 
       hideSpinner('transcribe');
       showMessage('success', 'Transcription complete!', 'transcribe');
 
     } catch (error) {
+      if (handleAbort(job, error, 'transcribe')) return;
       console.error('Transcription error:', error);
       hideSpinner('transcribe');
 
@@ -704,6 +1282,8 @@
       } else {
         showMessage('error', error.message || 'Transcription failed', 'transcribe');
       }
+    } finally {
+      endJob(job);
     }
   }
 
@@ -712,12 +1292,18 @@
   window.WhisperAPI = {
     transcribeVideo: transcribeVideo,
     transcribeFromVideoUrl: transcribeFromVideoUrl,
+    showResult: showResult,
     copyTranscript: copyTranscript,
     downloadTranscript: downloadTranscript,
     downloadVideo: downloadVideo,
     extractAudioFromVideo: extractAudioFromVideo,
+    prepareMedia: prepareMedia,
     transcribeAudio: transcribeAudio,
-    generateSRT: generateSRT
+    translateAudio: translateAudio,
+    getRunOptions: getRunOptions,
+    getTranscriptionSettings: getTranscriptionSettings,
+    generateSRT: generateSRT,
+    cancelJob: cancelJob
   };
 
   // Initialize on DOM ready
@@ -727,87 +1313,76 @@
     initWhisper();
   }
 
-  // Wire up transcribe button
+  // Wire up transcribe and translate buttons
   function setupTranscribeButton() {
     const transcribeButton = document.getElementById('transcribeButton');
+    const translateButton = document.getElementById('translateButton');
     const transcribeInput = document.getElementById('transcribeReelUrl');
+    const cancelJobButton = document.getElementById('cancelJobButton');
+
+    if (cancelJobButton) {
+      cancelJobButton.addEventListener('click', cancelJob);
+    }
 
     if (transcribeButton && transcribeInput) {
-      transcribeButton.addEventListener('click', async function() {
-        const url = transcribeInput.value.trim();
-        if (!url) {
-          showMessage('error', 'Please paste an Instagram video URL', 'transcribe');
-          return;
-        }
+      transcribeButton.addEventListener('click', function() {
+        handleUrlSubmit(transcribeInput.value.trim(), 'transcribe');
+      });
+    }
 
-        // Validate Instagram URL format
-        if (!url.includes('instagram.com')) {
-          showMessage('error', 'Please enter a valid Instagram URL', 'transcribe');
-          return;
-        }
+    if (translateButton && transcribeInput) {
+      translateButton.addEventListener('click', function() {
+        handleUrlSubmit(transcribeInput.value.trim(), 'translate');
+      });
+    }
+  }
 
-        // First fetch the video metadata from api.instasave.website
-        try {
-          showSpinner('transcribe');
-          showProgress('Fetching video metadata...', 'transcribe');
-
-          const response = await fetch('https://api.instasave.website/media', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({'url': url})
-          });
+  // Resolve an Instagram URL and run the requested task on it
+  async function handleUrlSubmit(url, task) {
+    if (!url) {
+      showMessage('error', 'Please paste an Instagram video URL', 'transcribe');
+      return;
+    }
 
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error('API error response:', errorText);
-            throw new Error('Failed to fetch video information. The Instagram URL may be invalid or the video may be private.');
-          }
+    // Validate Instagram URL format
+    const link = InstagramUrl.parse(url);
+    if (!link.valid) {
+      showMessage('error', `Please enter a valid Instagram URL: ${link.reason}`, 'transcribe');
+      return;
+    }
+    url = link.url;
 
-          const responseText = await response.text();
-          let data;
-          let videoUrl;
-
-          // Try parsing as JSON first
-          try {
-            data = JSON.parse(responseText);
-            videoUrl = data.download_url;
-          } catch (e) {
-            // Response is HTML, parse it
-            const cleanedHtml = responseText
-              .replace(/loader\.style\.display="none";/, '')
-              .replace(/document\.getElementById\("div_download"\)\.innerHTML ="/, '')
-              .replace(/";document\.getElementById\("downloader"\)\.remove\(\);showAd\(\);/, '')
-              .replace(/\\/g, '');
-
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(cleanedHtml, 'text/html');
-            const downloadLink = doc.querySelector('a.abutton.is-success');
-            videoUrl = downloadLink?.getAttribute('href');
-          }
+    // First resolve the video metadata
+    const job = beginJob();
+    let videoUrl;
+    try {
+      showSpinner('transcribe');
+      showProgress('Fetching video metadata...', 'transcribe');
 
-          if (!videoUrl) {
-            console.error('API response:', responseText);
-            throw new Error('Could not get video download URL from API response');
-          }
+      const media = await MediaResolver.resolve(url, { signal: job.signal });
+      videoUrl = media.videoUrl;
 
-          // Now transcribe using the video URL
-          await transcribeVideo(videoUrl, 'transcribe');
+      // Now transcribe using the video URL, as part of the same job
+      await transcribeVideo(videoUrl, 'transcribe', task, {
+        url: url,
+        thumbnailUrl: media.thumbnailUrl,
+        author: media.author
+      }, job);
 
-        } catch (error) {
-          console.error('Error fetching video:', error);
-          hideSpinner('transcribe');
+    } catch (error) {
+      if (handleAbort(job, error, 'transcribe')) return;
+      console.error('Error fetching video:', error);
+      hideSpinner('transcribe');
 
-          // If CORS error, show file upload option with download link
-          if (error.message === 'Failed to download video: CORS_ERROR') {
-            showMessage('error', 'Cannot fetch video due to CORS restrictions.', 'transcribe');
-            showFileUploadOption(videoUrl);
-          } else {
-            showMessage('error', error.message || 'Failed to fetch video', 'transcribe');
-          }
-        }
-      });
+      // If CORS error, show file upload option with download link
+      if (error.message === 'Failed to download video: CORS_ERROR') {
+        showMessage('error', 'Cannot fetch video due to CORS restrictions.', 'transcribe');
+        showFileUploadOption(videoUrl);
+      } else {
+        showMessage('error', error.message || 'Failed to fetch video', 'transcribe');
+      }
+    } finally {
+      endJob(job);
     }
   }
 